@@ -13,7 +13,13 @@ import authRouter from "./routes/auth.js";
 import orderRoutes from "./routes/orders.js";
 import paymentRoutes from "./routes/payment.js";
 import cartRouter from "./routes/cart.js";
+import couponRouter from "./routes/coupons.js";
+import shippingRouter from "./routes/shipping.js";
+import pincodeRouter from "./routes/pincodes.js";
+import phonepeSimulatorRouter from "./routes/phonepeSimulator.js";
 import { errorHandler } from "./middleware/errorHandler.js";
+import { startPaymentReconciler } from "./jobs/paymentReconciler.js";
+import { startAbandonedCartReminders } from "./jobs/abandonedCartReminders.js";
 
 dotenv.config();
 
@@ -49,16 +55,32 @@ app.use("/api", limiter);
 app.use("/api/products", productsRouter);
 app.use("/api/auth", authRouter);
 app.use("/api/cart", cartRouter);
+app.use("/api/coupons", couponRouter);
+app.use("/api/shipping", shippingRouter);
+app.use("/api/pincodes", pincodeRouter);
 app.use("/api/orders", orderRoutes);
 app.use("/api/payments", paymentRoutes); // Register payment callback route
 
+// Local PhonePe stand-in for development (see routes/phonepeSimulator.js)
+if (
+  process.env.NODE_ENV !== "production" &&
+  process.env.PHONEPE_SIMULATOR === "true"
+) {
+  app.use("/api/dev/phonepe", phonepeSimulatorRouter);
+  console.log("PhonePe simulator mounted at /api/dev/phonepe");
+}
+
 // Error handling
 app.use(errorHandler);
 
 // Database connection
 mongoose
   .connect(process.env.MONGODB_URI)
-  .then(() => console.log("Connected to MongoDB"))
+  .then(() => {
+    console.log("Connected to MongoDB");
+    startPaymentReconciler(); // Resolve payments whose callback never arrived
+    startAbandonedCartReminders(); // Nudge customers who left items in their cart
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Handle unhandled promise rejections
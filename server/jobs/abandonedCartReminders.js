@@ -0,0 +1,170 @@
+// jobs/abandonedCartReminders.js
+import Cart from "../models/cart.js";
+import Order from "../models/order.js";
+import User from "../models/user.js";
+import { sendAbandonedCartReminder } from "../utils/email.js";
+import { buildUnsubscribeUrl, publicApiUrl } from "../utils/cartReminders.js";
+
+const MINUTE = 60 * 1000;
+const BATCH_SIZE = 50;
+
+const settings = () => ({
+  intervalMinutes: Number(process.env.ABANDONED_CART_INTERVAL_MINUTES) || 60,
+  // A cart counts as abandoned once untouched for this long
+  idleHours: Number(process.env.ABANDONED_CART_AFTER_HOURS) || 24,
+  // Per-user cap: at most maxReminders within capDays
+  maxReminders: Number(process.env.ABANDONED_CART_MAX_REMINDERS) || 2,
+  capDays: Number(process.env.ABANDONED_CART_CAP_DAYS) || 30,
+});
+
+// The cart's lines that can still be bought, with names and current prices
+const reminderItems = (cart) =>
+  cart.items
+    .filter((item) => item.productId) // Product deleted since
+    .map((item) => {
+      const product = item.productId;
+      const variant = product.findVariant(item.variantId);
+      if (product.variants?.length > 0 && !variant) return null;
+      return {
+        name: product.name,
+        sizeLabel: variant?.sizeLabel,
+        quantity: item.quantity,
+        price: (variant || product).discountedPrice,
+      };
+    })
+    .filter(Boolean);
+
+// Why this cart gets no reminder, or null if it should get one
+const skipReason = async (cart, items, { maxReminders, capDays }) => {
+  const { user } = cart;
+  if (!user || !user.isEmailVerified) return "no verified user";
+  if (user.cartReminders?.enabled === false) return "opted out";
+  if (items.length === 0) return "nothing left to buy";
+
+  const capStart = Date.now() - capDays * 24 * 60 * MINUTE;
+  const recent = (user.cartReminders?.sentAt || []).filter(
+    (sentAt) => sentAt.getTime() >= capStart,
+  );
+  if (recent.length >= maxReminders) return "reminder cap reached";
+
+  const orderedSince = await Order.exists({
+    userId: user._id,
+    createdAt: { $gte: cart.updatedAt },
+  });
+  if (orderedSince) return "ordered since";
+  return null;
+};
+
+/**
+ * One pass: emails users whose cart has been untouched for idleHours and
+ * who haven't ordered since. Each version of a cart is handled once; the
+ * cart is looked at again only after it changes.
+ */
+export const sendAbandonedCartReminders = async () => {
+  // Every reminder needs a working unsubscribe link
+  if (!publicApiUrl()) {
+    console.error(
+      "Abandoned cart reminders skipped: PUBLIC_API_URL is not set.",
+    );
+    return { checked: 0, sent: 0, skipped: 0 };
+  }
+  const config = settings();
+  const idleSince = new Date(Date.now() - config.idleHours * 60 * MINUTE);
+  const websiteUrl = "https://starfarmer-frontend.onrender.com";
+
+  const carts = await Cart.find({
+    user: { $ne: null }, // Guest carts have no one to email
+    "items.0": { $exists: true },
+    updatedAt: { $lte: idleSince },
+    $or: [
+      { reminderHandledAt: { $exists: false } },
+      { $expr: { $lt: ["$reminderHandledAt", "$updatedAt"] } },
+    ],
+  })
+    .sort({ updatedAt: 1 })
+    .limit(BATCH_SIZE)
+    .populate("user", "email name isEmailVerified cartReminders")
+    .populate("items.productId", "name price discountedPrice variants");
+
+  const summary = { checked: 0, sent: 0, skipped: 0 };
+  for (const cart of carts) {
+    summary.checked += 1;
+    try {
+      const items = reminderItems(cart);
+      const reason = await skipReason(cart, items, config);
+      if (reason) {
+        summary.skipped += 1;
+      } else {
+        await sendAbandonedCartReminder(cart.user, items, {
+          cartUrl: `${websiteUrl}/cart`,
+          unsubscribeUrl: buildUnsubscribeUrl(cart.user._id),
+        });
+        await User.updateOne(
+          { _id: cart.user._id },
+          {
+            $push: {
+              "cartReminders.sentAt": {
+                $each: [new Date()],
+                $slice: -config.maxReminders, // Older entries no longer matter
+              },
+            },
+          },
+        );
+        summary.sent += 1;
+      }
+
+      // Not a change to the cart itself, so updatedAt stays put
+      await Cart.updateOne(
+        { _id: cart._id },
+        { $set: { reminderHandledAt: new Date() } },
+        { timestamps: false },
+      );
+    } catch (error) {
+      // Email or DB trouble: leave the cart for the next pass
+      console.error(
+        `Abandoned cart reminder failed for Cart ${cart._id}:`,
+        error.message,
+      );
+    }
+  }
+
+  if (summary.checked > 0) {
+    console.log("Abandoned cart reminder pass:", JSON.stringify(summary));
+  }
+  return summary;
+};
+
+// Runs sendAbandonedCartReminders every intervalMinutes. Passes never overlap.
+export const startAbandonedCartReminders = () => {
+  if (process.env.ABANDONED_CART_REMINDERS_ENABLED === "false") {
+    console.warn(
+      "Abandoned cart reminders disabled by ABANDONED_CART_REMINDERS_ENABLED.",
+    );
+    return null;
+  }
+  if (!publicApiUrl()) {
+    console.error(
+      "Abandoned cart reminders NOT started: set PUBLIC_API_URL so reminder emails carry a working unsubscribe link.",
+    );
+    return null;
+  }
+
+  const { intervalMinutes } = settings();
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sendAbandonedCartReminders();
+    } catch (error) {
+      console.error("Abandoned cart reminder pass failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(
+    `Abandoned cart reminders running every ${intervalMinutes} minutes`,
+  );
+  return setInterval(run, intervalMinutes * MINUTE);
+};
@@ -0,0 +1,148 @@
+// jobs/paymentReconciler.js
+import Order from "../models/order.js";
+import { getGateway } from "../utils/gateways/index.js";
+import {
+  applyPaymentResult,
+  sendPaymentStatusEmail,
+} from "../utils/paymentResults.js";
+import { releaseOrderHolds } from "../utils/orderPlacement.js";
+import { recordPaymentTransaction } from "../utils/paymentLedger.js";
+
+const MINUTE = 60 * 1000;
+const BATCH_SIZE = 50;
+
+// All timings are configurable in minutes
+const settings = () => ({
+  intervalMinutes: Number(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES) || 5,
+  // Give the callback this long to arrive before asking the gateway ourselves
+  checkAfterMinutes: Number(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 10,
+  // Payments still unresolved after this long are expired
+  expireAfterMinutes: Number(process.env.PAYMENT_EXPIRY_MINUTES) || 60,
+});
+
+// Marks an abandoned payment as failed, frees its stock and coupon use and
+// tells the customer
+const expirePayment = async (order, expireAfterMinutes) => {
+  order.transitionTo("payment_failed", {
+    actor: "system",
+    note: `Payment not completed within ${expireAfterMinutes} minutes`,
+  });
+  order.paymentStatus = "failed";
+  await order.save();
+  await releaseOrderHolds(order);
+  console.log(
+    `Expired unpaid Order ${order._id} (MTID: ${order.merchantTransactionId})`,
+  );
+  await sendPaymentStatusEmail(order._id);
+};
+
+// Ledger entry for one status check of an order's payment
+const recordStatusCheck = (order, details) =>
+  recordPaymentTransaction({
+    order: order._id,
+    gateway: order.paymentGateway,
+    type: "status_check",
+    merchantTransactionId: order.merchantTransactionId,
+    ...details,
+  });
+
+/**
+ * One reconciliation pass: asks the gateway for the status of every online
+ * payment still pending after checkAfterMinutes and applies the answer with
+ * the same logic as the callback. Payments the gateway still reports as
+ * pending (or never saw) are expired once they are older than
+ * expireAfterMinutes.
+ */
+export const reconcilePendingPayments = async () => {
+  const { checkAfterMinutes, expireAfterMinutes } = settings();
+  const now = Date.now();
+  const checkBefore = new Date(now - checkAfterMinutes * MINUTE);
+
+  const orders = await Order.find({
+    paymentMethod: "online",
+    paymentStatus: "pending",
+    status: "payment_pending",
+    merchantTransactionId: { $exists: true },
+    // Retried payments are timed from the retry, not from order creation
+    $or: [
+      { paymentInitiatedAt: { $lte: checkBefore } },
+      {
+        paymentInitiatedAt: { $exists: false },
+        createdAt: { $lte: checkBefore },
+      },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  const summary = { checked: 0, paid: 0, failed: 0, pending: 0, expired: 0 };
+  for (const order of orders) {
+    summary.checked += 1;
+    try {
+      let result;
+      try {
+        result = await getGateway(order.paymentGateway).checkStatus(
+          order.merchantTransactionId,
+        );
+      } catch (error) {
+        await recordStatusCheck(order, {
+          status: "error",
+          message: error.message,
+        });
+        throw error;
+      }
+      await recordStatusCheck(order, { result });
+      // Same handling as the callback; "not found" counts as still pending
+      const outcome = await applyPaymentResult(order, result, {
+        source: "status check",
+      });
+
+      if (
+        outcome === "pending" &&
+        now - order.getPaymentStartedAt().getTime() >=
+          expireAfterMinutes * MINUTE
+      ) {
+        await expirePayment(order, expireAfterMinutes);
+        summary.expired += 1;
+      } else if (outcome in summary) {
+        summary[outcome] += 1;
+      }
+    } catch (error) {
+      // Gateway unreachable etc.: leave the order for the next pass
+      console.error(
+        `Payment reconciliation failed for Order ${order._id} (MTID: ${order.merchantTransactionId}):`,
+        error.message,
+      );
+    }
+  }
+
+  if (summary.checked > 0) {
+    console.log("Payment reconciliation pass:", JSON.stringify(summary));
+  }
+  return summary;
+};
+
+// Runs reconcilePendingPayments every intervalMinutes. Passes never overlap.
+export const startPaymentReconciler = () => {
+  if (process.env.PAYMENT_RECONCILER_ENABLED === "false") {
+    console.warn("Payment reconciler disabled by PAYMENT_RECONCILER_ENABLED.");
+    return null;
+  }
+
+  const { intervalMinutes } = settings();
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reconcilePendingPayments();
+    } catch (error) {
+      console.error("Payment reconciliation pass failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`Payment reconciler running every ${intervalMinutes} minutes`);
+  return setInterval(run, intervalMinutes * MINUTE);
+};
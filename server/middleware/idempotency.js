@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import IdempotencyKey from "../models/idempotencyKey.js";
+import AppError from "../utils/appError.js";
+
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify(body || {}))
+    .digest("hex");
+
+/**
+ * Honours an optional Idempotency-Key header on routes that create things.
+ * Must run after `protect`, since keys are stored per user.
+ *
+ * The first request with a key runs normally and its successful (2xx)
+ * response is stored. Repeats with the same key get that response back
+ * instead of running the route again. A repeat that arrives while the first
+ * request is still running gets a 409. Failed requests don't keep their key,
+ * so the client can retry with it.
+ */
+export const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return next(
+      new AppError(
+        `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.`,
+        400,
+      ),
+    );
+  }
+
+  const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = hashRequest(req.body);
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        user: req.user._id,
+        key,
+        endpoint,
+        requestHash,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Seen before: replay, or refuse if it doesn't match the original
+      const existing = await IdempotencyKey.findOne({
+        user: req.user._id,
+        key,
+      });
+      if (!existing) {
+        // Expired between the insert and the lookup; let the client retry
+        return next(
+          new AppError("Please retry the request with this key.", 409),
+        );
+      }
+      if (
+        existing.endpoint !== endpoint ||
+        existing.requestHash !== requestHash
+      ) {
+        return next(
+          new AppError(
+            "This Idempotency-Key was already used for a different request.",
+            422,
+          ),
+        );
+      }
+      if (existing.state === "processing") {
+        return next(
+          new AppError(
+            "A request with this Idempotency-Key is still being processed.",
+            409,
+          ),
+        );
+      }
+
+      console.log(`Replaying ${endpoint} for Idempotency-Key ${key}`);
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // Capture the response so it can be stored once it has been sent
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on("finish", async () => {
+      try {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          record.state = "completed";
+          record.statusCode = res.statusCode;
+          // Plain JSON, so documents are stored as the client saw them
+          record.responseBody = JSON.parse(
+            JSON.stringify(responseBody ?? null),
+          );
+          await record.save();
+        } else {
+          await IdempotencyKey.deleteOne({ _id: record._id });
+        }
+      } catch (error) {
+        console.error(
+          `Failed to store response for Idempotency-Key ${key}:`,
+          error,
+        );
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
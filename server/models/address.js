@@ -0,0 +1,20 @@
+// models/address.js
+
+// Postal address fields shared by an order's shippingAddress and the
+// addresses saved on a user's profile
+export const addressFields = {
+  fullName: { type: String, required: [true, "Full name is required"] },
+  phone: { type: String, required: [true, "Phone number is required"] },
+  addressLine1: {
+    type: String,
+    required: [true, "Address line 1 is required"],
+  },
+  addressLine2: { type: String },
+  city: { type: String, required: [true, "City is required"] },
+  district: { type: String }, // Matched by district shipping rules
+  state: { type: String, required: [true, "State is required"] },
+  pincode: { type: String, required: [true, "Pincode is required"] },
+};
+
+// Names of the fields above, for copying an address from request bodies
+export const ADDRESS_FIELD_NAMES = Object.keys(addressFields);
@@ -6,6 +6,10 @@ const cartItemSchema = new mongoose.Schema({
     ref: "Product",
     required: true,
   },
+  variantId: {
+    // Pack size chosen, for products sold in several sizes
+    type: mongoose.Schema.Types.ObjectId,
+  },
   quantity: {
     type: Number,
     required: true,
@@ -13,14 +17,59 @@ const cartItemSchema = new mongoose.Schema({
   },
 });
 
-const cartSchema = new mongoose.Schema({
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: "User",
-    required: true,
-    unique: true, // One cart per user
+// Guest carts are deleted after this many days without changes
+const guestCartExpiry = () =>
+  new Date(
+    Date.now() +
+      (Number(process.env.GUEST_CART_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000,
+  );
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [
+        function () {
+          return !this.guestTokenHash;
+        },
+        "A cart must belong to a user or a guest",
+      ],
+      unique: true, // One cart per user
+      sparse: true, // Guest carts have no user (see scripts/migrateCartUserIndex.js)
+    },
+    guestTokenHash: {
+      // sha256 of the opaque token a guest sends in X-Guest-Cart-Token
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    expiresAt: {
+      // Only set on guest carts; removed by the TTL index once passed
+      type: Date,
+      index: { expireAfterSeconds: 0 },
+    },
+    items: [cartItemSchema],
+    reminderHandledAt: {
+      // When the abandoned cart job last reminded (or chose not to remind)
+      // about this cart; it looks again only once the cart changes
+      type: Date,
+    },
   },
-  items: [cartItemSchema],
+  { timestamps: true }, // updatedAt is when the cart was last touched
+);
+
+// Every change to a guest cart pushes its expiry back
+cartSchema.pre("save", function (next) {
+  if (this.guestTokenHash) this.expiresAt = guestCartExpiry();
+  next();
+});
+
+cartSchema.pre("findOneAndUpdate", function (next) {
+  if (this.getFilter().guestTokenHash) {
+    this.set({ expiresAt: guestCartExpiry() });
+  }
+  next();
 });
 
 const Cart = mongoose.model("Cart", cartSchema);
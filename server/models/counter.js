@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// Named sequences, e.g. invoice numbers for a financial year
+const counterSchema = new mongoose.Schema(
+  {
+    _id: String, // Sequence name
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { versionKey: false },
+);
+
+// Returns the next value of the named sequence, starting at 1
+counterSchema.statics.next = async function (name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session },
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+export default Counter;
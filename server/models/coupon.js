@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "A coupon must have a code"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    discountType: {
+      type: String,
+      required: [true, "A coupon must have a discount type"],
+      enum: {
+        values: ["percentage", "flat"],
+        message: "Discount type is either: percentage, flat",
+      },
+    },
+    discountValue: {
+      type: Number,
+      required: [true, "A coupon must have a discount value"],
+      min: [0, "Discount value cannot be negative"],
+      validate: {
+        // Runs on save only; the admin PATCH saves the document for this
+        validator: function (val) {
+          return this.discountType !== "percentage" || val <= 100;
+        },
+        message: "A percentage discount cannot exceed 100",
+      },
+    },
+    maxDiscountAmount: {
+      // Caps percentage discounts, e.g. 10% up to ₹200
+      type: Number,
+      min: [0, "Maximum discount cannot be negative"],
+    },
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum order value cannot be negative"],
+    },
+    // Restrictions: when either list is set, only matching items are discounted
+    applicableCategories: {
+      type: [String],
+      enum: {
+        values: ["fertilizers", "seeds", "insecticide", "fungicide"],
+        message:
+          "Category is either: fertilizers, seeds, insecticide, fungicide",
+      },
+    },
+    applicableProducts: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Product",
+      },
+    ],
+    startsAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    usageLimit: {
+      // Total redemptions across all users; unset means unlimited
+      type: Number,
+      min: [1, "Usage limit must be at least 1"],
+    },
+    perUserLimit: {
+      // Redemptions allowed per user; unset means unlimited
+      type: Number,
+      min: [1, "Per-user limit must be at least 1"],
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+export default Coupon;
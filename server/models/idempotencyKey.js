@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// How long a key (and the response it produced) is remembered
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+
+// A client-supplied Idempotency-Key and the response its first request produced
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  endpoint: {
+    // e.g. "POST /api/orders", so a key can't be replayed on another route
+    type: String,
+    required: true,
+  },
+  requestHash: {
+    // sha256 of the request body, to spot a key reused for a different request
+    type: String,
+    required: true,
+  },
+  state: {
+    type: String,
+    enum: ["processing", "completed"],
+    default: "processing",
+  },
+  statusCode: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: KEY_TTL_SECONDS, // TTL index
+  },
+});
+
+// Keys are scoped to the user who sent them
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", idempotencyKeySchema);
+export default IdempotencyKey;
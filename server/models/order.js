@@ -1,5 +1,260 @@
 // models/order.js
 import mongoose from "mongoose";
+import AppError from "../utils/appError.js";
+import { addressFields } from "./address.js";
+import { listGatewayNames } from "../utils/gateways/index.js";
+
+export const ORDER_STATUSES = [
+  "payment_pending",
+  "processing",
+  "shipped",
+  "delivered",
+  "completed",
+  "cancelled",
+  "payment_failed",
+  "payment_issue",
+  "returned",
+];
+
+// The only status changes allowed, for admins and the payment callback alike.
+// Statuses with an empty list are final.
+export const ORDER_STATUS_TRANSITIONS = {
+  payment_pending: [
+    "processing",
+    "payment_failed",
+    "payment_issue",
+    "cancelled",
+  ],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered", "cancelled"],
+  delivered: ["completed", "returned"],
+  completed: [],
+  cancelled: [],
+  payment_failed: ["payment_pending", "processing"], // Retried online or switched to COD
+  payment_issue: ["processing", "cancelled"],
+  returned: [],
+};
+
+// Customers may cancel on their own only before the order ships
+export const CUSTOMER_CANCELLABLE_STATUSES = ["processing"];
+
+// One entry per status change, oldest first
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ORDER_STATUSES,
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    actor: {
+      // Who made the change
+      type: String,
+      enum: ["customer", "admin", "system", "payment_gateway"],
+      required: true,
+    },
+    changedBy: {
+      // The user behind a customer or admin change
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "A status note cannot exceed 500 characters"],
+    },
+  },
+  { _id: false },
+);
+
+// An earlier online payment attempt, kept when the customer retries payment
+const paymentAttemptSchema = new mongoose.Schema(
+  {
+    merchantTransactionId: {
+      type: String,
+      required: true,
+    },
+    paymentGateway: String,
+    gatewayTransactionId: String,
+    amount: Number, // Rupees received, set when the attempt is paid late
+    startedAt: Date,
+    endedAt: {
+      // When it was superseded by the next attempt
+      type: Date,
+      default: Date.now,
+    },
+    outcome: {
+      // "paid_late" if the gateway reports success after the retry: refund it
+      type: String,
+      enum: ["failed", "paid_late"],
+      default: "failed",
+    },
+  },
+  { _id: false },
+);
+
+// A courier scan or status update for a shipment
+const trackingEventSchema = new mongoose.Schema({
+  status: {
+    // e.g. "Picked up", "In transit", "Out for delivery"
+    type: String,
+    required: [true, "A tracking event must have a status"],
+    trim: true,
+    maxlength: [100, "A tracking status cannot exceed 100 characters"],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, "A tracking description cannot exceed 500 characters"],
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, "A tracking location cannot exceed 100 characters"],
+  },
+  occurredAt: {
+    // When the courier reported it, not when it was entered
+    type: Date,
+    default: Date.now,
+  },
+  recordedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+});
+
+// How the order travels to the customer, recorded when it is shipped
+const shipmentSchema = new mongoose.Schema(
+  {
+    carrier: {
+      type: String,
+      required: [true, "A shipment must have a carrier"],
+      trim: true,
+    },
+    trackingNumber: {
+      // The carrier's AWB / consignment number
+      type: String,
+      required: [true, "A shipment must have a tracking number"],
+      trim: true,
+    },
+    trackingUrl: {
+      type: String,
+      trim: true,
+    },
+    dispatchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expectedDeliveryAt: Date,
+    events: [trackingEventSchema], // Oldest first
+  },
+  { _id: false },
+);
+
+// One attempt to give money back through the payment gateway
+const refundSchema = new mongoose.Schema({
+  merchantRefundId: {
+    // ID sent TO gateway for this refund
+    type: String,
+    required: true,
+  },
+  gatewayRefundId: {
+    // ID received FROM gateway
+    type: String,
+  },
+  originalTransactionId: {
+    // merchantTransactionId of a superseded attempt that was paid late;
+    // unset for refunds of the order's own payment
+    type: String,
+  },
+  amount: {
+    // Rupees
+    type: Number,
+    required: true,
+    min: [0.01, "Refund amount must be positive"],
+  },
+  reason: {
+    type: String,
+    enum: ["cancellation", "return", "manual", "duplicate_payment"],
+    required: true,
+  },
+  returnRequestId: {
+    // Set when the refund is for an approved return
+    type: mongoose.Schema.ObjectId,
+  },
+  state: {
+    type: String,
+    enum: ["pending", "completed", "failed"],
+    default: "pending",
+  },
+  responseCode: String, // Gateway's code for the latest update
+  message: String,
+  initiatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  initiatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: Date,
+});
+
+// A customer's request to send back some or all of a delivered order
+const returnRequestSchema = new mongoose.Schema({
+  items: [
+    {
+      itemId: {
+        // _id of the line in order.items
+        type: mongoose.Schema.ObjectId,
+        required: [true, "Return item must reference an order item"],
+      },
+      quantity: {
+        type: Number,
+        required: [true, "Return item must have a quantity"],
+        min: 1,
+      },
+      amount: {
+        // Value of the returned units after their share of any discount
+        type: Number,
+        required: true,
+      },
+    },
+  ],
+  reason: {
+    type: String,
+    required: [true, "Please tell us why you are returning these items"],
+    trim: true,
+    maxlength: [1000, "Return reason cannot exceed 1000 characters"],
+  },
+  status: {
+    type: String,
+    enum: ["requested", "approved", "rejected"],
+    default: "requested",
+  },
+  amount: {
+    // Total value of the returned items
+    type: Number,
+    required: true,
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  adminNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Admin note cannot exceed 500 characters"],
+  },
+});
 
 const orderSchema = new mongoose.Schema(
   {
@@ -15,44 +270,105 @@ const orderSchema = new mongoose.Schema(
           ref: "Product",
           required: [true, "Order item must have a product"],
         },
+        // Pack size ordered, for products sold in several sizes
+        variantId: {
+          type: mongoose.Schema.ObjectId,
+        },
+        sku: { type: String },
+        sizeLabel: { type: String },
         quantity: {
           type: Number,
           required: [true, "Order item must have a quantity"],
           min: 1,
         },
+        mrp: {
+          // Product's original price at the time of ordering
+          type: Number,
+        },
         price: {
+          // Unit price actually charged, taken from the product on the server
           type: Number,
           required: [true, "Order item must have a price"],
         },
+        lineTotal: {
+          type: Number,
+        },
+        hsnCode: { type: String },
+        gstRate: {
+          // Percent of GST included in price
+          type: Number,
+          default: 0,
+        },
+        tax: {
+          // GST in lineTotal after the line's share of the discount
+          taxableValue: { type: Number },
+          cgst: { type: Number, default: 0 },
+          sgst: { type: Number, default: 0 },
+          igst: { type: Number, default: 0 },
+        },
         // Ensure Product schema has 'name' and 'image' if needed here or populate later
       },
     ],
     shippingAddress: {
-      fullName: { type: String, required: [true, "Full name is required"] },
-      phone: { type: String, required: [true, "Phone number is required"] },
-      addressLine1: {
-        type: String,
-        required: [true, "Address line 1 is required"],
+      ...addressFields,
+      savedAddressId: {
+        // The user's saved address this was copied from, if any
+        type: mongoose.Schema.ObjectId,
       },
-      addressLine2: { type: String },
-      city: { type: String, required: [true, "City is required"] },
-      state: { type: String, required: [true, "State is required"] },
-      pincode: { type: String, required: [true, "Pincode is required"] },
     },
     paymentMethod: {
       type: String,
       enum: ["cod", "online"],
       required: [true, "Payment method is required"],
     },
+    subtotal: {
+      // Sum of item line totals, computed server-side
+      type: Number,
+    },
+    // --- Coupon ---
+    coupon: {
+      couponId: { type: mongoose.Schema.ObjectId, ref: "Coupon" },
+      code: { type: String },
+      discountType: { type: String },
+      discountValue: { type: Number },
+      redeemed: {
+        // True while this order counts towards the coupon's usage limits
+        type: Boolean,
+        default: false,
+      },
+    },
+    discount: {
+      // Coupon discount deducted from the subtotal
+      type: Number,
+      default: 0,
+    },
     shippingCharge: {
       type: Number,
       required: true,
       default: 0,
     },
+    tax: {
+      // GST included in the items' prices, summed over the lines
+      supplyType: {
+        // Within our state (CGST + SGST) or to another state (IGST)
+        type: String,
+        enum: ["intra_state", "inter_state"],
+      },
+      taxableValue: { type: Number },
+      cgst: { type: Number, default: 0 },
+      sgst: { type: Number, default: 0 },
+      igst: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+    },
     total: {
       type: Number,
       required: [true, "Order must have a total"],
     },
+    invoice: {
+      // Tax invoice, issued once the order is paid or placed as COD
+      number: { type: String }, // e.g. SF/2026-27/00042, sequential per financial year
+      issuedAt: { type: Date },
+    },
     // --- Payment Gateway Specific ---
     merchantTransactionId: {
       // ID sent TO gateway
@@ -64,36 +380,65 @@ const orderSchema = new mongoose.Schema(
       // ID received FROM gateway
       type: String,
     },
+    paymentInitiatedAt: {
+      // Start of the current payment attempt
+      type: Date,
+    },
+    paymentAttempts: [paymentAttemptSchema], // Earlier attempts, oldest first
     paymentStatus: {
       // Tracks only the payment state
       type: String,
-      enum: ["pending", "paid", "failed", "not_applicable"], // 'not_applicable' for COD
+      enum: [
+        "pending",
+        "paid",
+        "failed",
+        "not_applicable", // 'not_applicable' for COD
+        "partially_refunded",
+        "refunded",
+      ],
       default: "pending",
     },
     paymentGateway: {
       // Which gateway was used
       type: String,
-      enum: ["cod", "phonepe"],
+      enum: ["cod", ...listGatewayNames()], // One per registered adapter
+    },
+    // --- Inventory ---
+    stockReserved: {
+      // True while this order holds units taken from Product.stock
+      type: Boolean,
+      default: false,
     },
     // --- Order Fulfillment Status ---
     status: {
+      // Change through transitionTo() so the history stays complete
       type: String,
-      enum: [
-        "payment_pending",
-        "processing",
-        "shipped",
-        "delivered",
-        "completed",
-        "cancelled",
-        "payment_failed",
-        "payment_issue",
-      ], // Added potential statuses
+      enum: ORDER_STATUSES,
       default: "payment_pending",
     },
+    statusHistory: [statusHistorySchema],
+    shipment: shipmentSchema,
+    // --- Returns & Refunds ---
+    returnRequests: [returnRequestSchema],
+    refunds: [refundSchema],
   },
   { timestamps: true },
 ); // Use timestamps for createdAt, updatedAt
 
+// Admin order list: newest first, optionally by status; customers' own orders
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ userId: 1, createdAt: -1 });
+// Refund callbacks are matched on the refund's own transaction ID
+orderSchema.index({ "refunds.merchantRefundId": 1 }, { sparse: true });
+// Late callbacks for superseded payment attempts still find their order
+orderSchema.index(
+  { "paymentAttempts.merchantTransactionId": 1 },
+  { sparse: true },
+);
+// No two orders share an invoice number
+orderSchema.index({ "invoice.number": 1 }, { unique: true, sparse: true });
+
 // Pre-save hook example to set default paymentStatus for COD
 orderSchema.pre("save", function (next) {
   if (this.paymentMethod === "cod") {
@@ -107,8 +452,127 @@ orderSchema.pre("save", function (next) {
     this.paymentStatus = "pending";
     this.status = "payment_pending";
   }
+  // Record the initial status as the start of the timeline
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      actor: "customer",
+      changedBy: this.userId,
+      note: "Order placed",
+    });
+  }
   next();
 });
 
+orderSchema.methods.canTransitionTo = function (nextStatus) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+/**
+ * Moves the order to `nextStatus` if ORDER_STATUS_TRANSITIONS allows it and
+ * appends a history entry. Throws a 409 AppError otherwise. The caller saves.
+ */
+orderSchema.methods.transitionTo = function (
+  nextStatus,
+  { actor, changedBy, note } = {},
+) {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    throw new AppError(`Invalid status value: ${nextStatus}`, 400);
+  }
+  if (!this.canTransitionTo(nextStatus)) {
+    throw new AppError(
+      `Cannot change order status from ${this.status} to ${nextStatus}.`,
+      409,
+    );
+  }
+  this.status = nextStatus;
+  this.statusHistory.push({ status: nextStatus, actor, changedBy, note });
+  return this;
+};
+
+// When the current online payment attempt started
+orderSchema.methods.getPaymentStartedAt = function () {
+  return this.paymentInitiatedAt || this.createdAt;
+};
+
+/**
+ * Archives the current online payment attempt on paymentAttempts so a new
+ * one can start. The caller sets the new merchantTransactionId and saves.
+ */
+orderSchema.methods.supersedePaymentAttempt = function () {
+  if (!this.merchantTransactionId) return;
+  this.paymentAttempts.push({
+    merchantTransactionId: this.merchantTransactionId,
+    paymentGateway: this.paymentGateway,
+    gatewayTransactionId: this.gatewayTransactionId,
+    startedAt: this.getPaymentStartedAt(),
+  });
+  this.merchantTransactionId = undefined;
+  this.gatewayTransactionId = undefined;
+};
+
+// When the order was marked delivered, from its history
+orderSchema.methods.getDeliveredAt = function () {
+  const entry = this.statusHistory?.find((h) => h.status === "delivered");
+  return entry?.changedAt;
+};
+
+// Units of an order item already returned or awaiting a return decision
+orderSchema.methods.getReturnedQuantity = function (itemId) {
+  return (this.returnRequests || [])
+    .filter((request) => request.status !== "rejected")
+    .flatMap((request) => request.items)
+    .filter((item) => item.itemId.toString() === itemId.toString())
+    .reduce((sum, item) => sum + item.quantity, 0);
+};
+
+// Rupees refunded or on their way back (failed attempts don't count)
+// Refunds of the order's own payment by default, or of one superseded attempt
+orderSchema.methods.getRefundedAmount = function ({
+  includePending = true,
+  originalTransactionId = null,
+} = {}) {
+  return (this.refunds || [])
+    .filter(
+      (refund) =>
+        (refund.originalTransactionId || null) === originalTransactionId &&
+        (refund.state === "completed" ||
+          (includePending && refund.state === "pending")),
+    )
+    .reduce((sum, refund) => sum + refund.amount, 0);
+};
+
+// Adds a tracking event to the shipment, keeping events in the order they happened
+orderSchema.methods.addTrackingEvent = function (event) {
+  if (!this.shipment) {
+    throw new AppError("This order has not been shipped yet.", 409);
+  }
+  const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+  const index = this.shipment.events.findIndex(
+    (existing) => existing.occurredAt > occurredAt,
+  );
+  const entry = { ...event, occurredAt };
+  if (index === -1) {
+    this.shipment.events.push(entry);
+    return this.shipment.events[this.shipment.events.length - 1];
+  }
+  this.shipment.events.splice(index, 0, entry);
+  return this.shipment.events[index];
+};
+
+// Status history shaped for display, oldest first
+orderSchema.methods.getTimeline = function () {
+  if (!this.statusHistory || this.statusHistory.length === 0) {
+    // Orders placed before history was recorded
+    return [{ status: this.status, changedAt: this.createdAt }];
+  }
+  return this.statusHistory.map((entry) => ({
+    status: entry.status,
+    changedAt: entry.changedAt,
+    actor: entry.actor,
+    note: entry.note,
+  }));
+};
+
 const Order = mongoose.model("Order", orderSchema);
 export default Order;
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+export const PAYMENT_TRANSACTION_TYPES = [
+  "initiation",
+  "callback",
+  "status_check",
+  "refund",
+  "refund_callback",
+];
+
+// Append-only record of every exchange with a payment gateway, kept for audits
+// and disputes. Entries are never updated after they are written.
+const paymentTransactionSchema = new mongoose.Schema(
+  {
+    order: {
+      // Missing when a callback can't be matched to an order
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      index: true,
+    },
+    gateway: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: PAYMENT_TRANSACTION_TYPES,
+    },
+    merchantTransactionId: {
+      // Our ID for the payment; refund entries carry the payment's ID too
+      type: String,
+      index: true,
+    },
+    merchantRefundId: {
+      type: String,
+      index: true,
+    },
+    gatewayTransactionId: String,
+    status: {
+      // PaymentResult status, or "error" when the call itself failed
+      type: String,
+      enum: ["success", "pending", "failed", "not_found", "error"],
+    },
+    amount: Number, // Rupees, as reported by the gateway (or requested, for initiations and refunds)
+    code: String,
+    message: String,
+    checksumVerified: {
+      // Only set for callbacks
+      type: Boolean,
+    },
+    raw: {
+      // Decoded gateway payload, or the request body if it couldn't be verified
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+const PaymentTransaction = mongoose.model(
+  "PaymentTransaction",
+  paymentTransactionSchema,
+);
+export default PaymentTransaction;
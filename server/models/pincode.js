@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// One pincode in the delivery directory, imported from CSV
+const pincodeSchema = new mongoose.Schema(
+  {
+    pincode: {
+      type: String,
+      required: [true, "A directory entry must have a pincode"],
+      unique: true,
+      trim: true,
+      match: [/^[1-9]\d{5}$/, "A pincode must be 6 digits"],
+    },
+    city: {
+      // Town or post office area, used to autofill addresses
+      type: String,
+      trim: true,
+    },
+    district: {
+      type: String,
+      required: [true, "A directory entry must have a district"],
+      trim: true,
+    },
+    state: {
+      type: String,
+      required: [true, "A directory entry must have a state"],
+      trim: true,
+    },
+    deliverable: {
+      type: Boolean,
+      default: false,
+    },
+    codAvailable: {
+      // Only meaningful for deliverable pincodes
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true },
+);
+
+pincodeSchema.index({ state: 1, district: 1 });
+
+const Pincode = mongoose.model("Pincode", pincodeSchema);
+export default Pincode;
@@ -11,6 +11,73 @@ const localizedStringSchema = {
   },
 };
 
+export const LOW_STOCK_THRESHOLD = 10;
+
+// GST slabs, in percent
+export const GST_RATES = [0, 5, 12, 18, 28];
+
+const availabilityFor = (stock) => {
+  if (stock === undefined) return undefined; // stock not selected
+  if (stock <= 0) return "out_of_stock";
+  if (stock <= LOW_STOCK_THRESHOLD) return "low_stock";
+  return "in_stock";
+};
+
+const stockField = {
+  // Units available to sell; decremented when an order reserves them.
+  // Older documents without it: see scripts/backfillProductStock.js
+  type: Number,
+  default: 0,
+  min: [0, "Stock cannot be negative"],
+  validate: {
+    validator: Number.isInteger,
+    message: "Stock must be a whole number",
+  },
+};
+
+const weightField = {
+  // Shipping weight of one unit in grams, packaging included
+  type: Number,
+  min: [0, "Weight cannot be negative"],
+};
+
+// A pack size of a product (e.g. 250 g, 1 kg, 1 L), sold and stocked on its own
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "A variant must have a SKU"],
+    trim: true,
+    uppercase: true,
+  },
+  sizeLabel: {
+    type: String,
+    required: [true, "A variant must have a size label, e.g. 250 g or 1 L"],
+    trim: true,
+  },
+  price: {
+    type: Number,
+    required: [true, "A variant must have an original price"],
+  },
+  discountedPrice: {
+    type: Number,
+    required: [true, "A variant must have a discounted price"],
+  },
+  stock: stockField,
+  weightGrams: weightField,
+});
+
+variantSchema.set("toJSON", { virtuals: true });
+variantSchema.set("toObject", { virtuals: true });
+
+variantSchema.virtual("availability").get(function () {
+  return availabilityFor(this.stock);
+});
+
+// Price and stock live on the variants when a product has any
+function hasNoVariants() {
+  return !this.variants || this.variants.length === 0;
+}
+
 const productSchema = new mongoose.Schema({
   name: {
     type: localizedStringSchema,
@@ -32,11 +99,21 @@ const productSchema = new mongoose.Schema({
   },
   price: {
     type: Number,
-    required: [true, "A product must have an original price"],
+    required: [hasNoVariants, "A product must have an original price"],
   },
   discountedPrice: {
     type: Number,
-    required: [true, "A product must have a discounted price"],
+    required: [hasNoVariants, "A product must have a discounted price"],
+  },
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: function (val) {
+        const skus = val.map((variant) => variant.sku);
+        return new Set(skus).size === skus.length;
+      },
+      message: "Variant SKUs must be unique",
+    },
   },
   category: {
     type: String,
@@ -50,11 +127,49 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: [true, "A product must have an image"],
   },
+  // GST applies to every pack size of the product alike
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}(\d{2}){0,2}$/, "HSN code must be 4, 6 or 8 digits"],
+  },
+  gstRate: {
+    // Percent of GST included in the price; seeds are mostly exempt (0)
+    type: Number,
+    default: 0,
+    enum: {
+      values: GST_RATES,
+      message: "GST rate is one of: 0, 5, 12, 18, 28",
+    },
+  },
+  stock: stockField, // Only used for products without variants
+  weightGrams: weightField, // Variants without a weight of their own use this
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+productSchema.set("toJSON", { virtuals: true });
+productSchema.set("toObject", { virtuals: true });
+
+// SKUs identify a pack across the whole catalogue
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
+productSchema.virtual("availability").get(function () {
+  if (this.variants?.length > 0) {
+    return availabilityFor(
+      this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0),
+    );
+  }
+  return availabilityFor(this.stock);
+});
+
+// Returns the variant subdocument, or null when it doesn't belong to this product
+productSchema.methods.findVariant = function (variantId) {
+  if (!variantId || !this.variants) return null;
+  return this.variants.id(variantId);
+};
+
 const Product = mongoose.model("Product", productSchema);
 export default Product;
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+
+// What a rule is matched against, most specific first
+export const SHIPPING_MATCH_TYPES = [
+  "pincode_prefix",
+  "district",
+  "state",
+  "default",
+];
+
+// Charge for parcels up to a given weight
+const weightSlabSchema = new mongoose.Schema(
+  {
+    upToGrams: {
+      type: Number,
+      required: [true, "A weight slab must have an upper weight limit"],
+      min: [1, "A weight slab must cover at least 1 gram"],
+    },
+    charge: {
+      type: Number,
+      required: [true, "A weight slab must have a charge"],
+      min: [0, "Shipping charge cannot be negative"],
+    },
+  },
+  { _id: false },
+);
+
+// Shipping charges for one zone: a pincode prefix, a district or a state
+const shippingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "A shipping rule must have a name"],
+      trim: true,
+    },
+    matchType: {
+      type: String,
+      required: [true, "A shipping rule must have a match type"],
+      enum: {
+        values: SHIPPING_MATCH_TYPES,
+        message:
+          "Match type is either: pincode_prefix, district, state, default",
+      },
+    },
+    value: {
+      // e.g. "4110", "pune" or "maharashtra"; unused by the default rule
+      type: String,
+      trim: true,
+      lowercase: true, // District and state names match case-insensitively
+      required: [
+        function () {
+          return this.matchType !== "default";
+        },
+        "A shipping rule must say which pincode prefix, district or state it covers",
+      ],
+      validate: {
+        validator: function (val) {
+          return this.matchType !== "pincode_prefix" || /^\d{1,6}$/.test(val);
+        },
+        message: "A pincode prefix must be 1 to 6 digits",
+      },
+    },
+    weightSlabs: {
+      type: [weightSlabSchema],
+      validate: {
+        validator: function (val) {
+          if (val.length === 0) return false;
+          const limits = val.map((slab) => slab.upToGrams);
+          return new Set(limits).size === limits.length;
+        },
+        message:
+          "A shipping rule needs at least one weight slab, each with a different weight limit",
+      },
+    },
+    extraChargePerKg: {
+      // Added per started kg above the heaviest slab
+      type: Number,
+      default: 0,
+      min: [0, "Extra charge cannot be negative"],
+    },
+    freeShippingAbove: {
+      // Order subtotal from which shipping is free; unset means never
+      type: Number,
+      min: [0, "Free shipping threshold cannot be negative"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true },
+);
+
+// One rule per zone, and a single default rule
+shippingRuleSchema.index({ matchType: 1, value: 1 }, { unique: true });
+
+const ShippingRule = mongoose.model("ShippingRule", shippingRuleSchema);
+export default ShippingRule;
@@ -1,6 +1,25 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import validator from "validator";
+import { addressFields } from "./address.js";
+
+// Most addresses one customer can save
+export const MAX_SAVED_ADDRESSES = 10;
+
+// An address saved for reuse at checkout
+const savedAddressSchema = new mongoose.Schema({
+  label: {
+    // e.g. "Home" or "Farm"
+    type: String,
+    trim: true,
+    maxlength: [30, "An address label can be at most 30 characters"],
+  },
+  ...addressFields,
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -38,12 +57,46 @@ const userSchema = new mongoose.Schema({
   verificationTokenExpires: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  cartReminders: {
+    enabled: {
+      // Customers can opt out of abandoned cart emails
+      type: Boolean,
+      default: true,
+    },
+    sentAt: [Date], // Latest reminders sent, for the per-user cap
+  },
+  addresses: {
+    type: [savedAddressSchema],
+    validate: {
+      validator: (val) => val.length <= MAX_SAVED_ADDRESSES,
+      message: `You can save at most ${MAX_SAVED_ADDRESSES} addresses`,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+// Exactly one saved address is the default while there are any
+userSchema.pre("validate", function (next) {
+  const defaults = this.addresses.filter((address) => address.isDefault);
+  if (this.addresses.length > 0 && defaults.length === 0) {
+    this.addresses[0].isDefault = true;
+  }
+  defaults.slice(1).forEach((address) => {
+    address.isDefault = false;
+  });
+  next();
+});
+
+// Makes one saved address the default and clears the flag on the rest
+userSchema.methods.setDefaultAddress = function (addressId) {
+  this.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
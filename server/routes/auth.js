@@ -3,12 +3,16 @@ import jwt from "jsonwebtoken";
 import crypto from "crypto";
 import { OAuth2Client } from "google-auth-library";
 import User from "../models/user.js";
+import { ADDRESS_FIELD_NAMES } from "../models/address.js";
 import AppError from "../utils/appError.js";
 import { protect } from "../middleware/auth.js";
 import {
   sendVerificationEmail,
   sendPasswordResetEmail,
 } from "../utils/email.js";
+import { GUEST_CART_HEADER, mergeGuestCart } from "../utils/guestCart.js";
+import { verifyUnsubscribeToken } from "../utils/cartReminders.js";
+import { isValidPincode } from "../utils/pincodeDirectory.js";
 import rateLimit from "express-rate-limit";
 
 const router = express.Router();
@@ -40,6 +44,18 @@ const createSendToken = (user, statusCode, res) => {
   });
 };
 
+// Folds the visitor's guest cart (if any) into their cart; never blocks login
+const mergeGuestCartOnLogin = async (req, userId) => {
+  try {
+    await mergeGuestCart(
+      userId,
+      req.body.guestCartToken || req.get(GUEST_CART_HEADER),
+    );
+  } catch (error) {
+    console.error(`Failed to merge guest cart for user ${userId}:`, error);
+  }
+};
+
 // Create admin user if it doesn't exist
 const createAdminUser = async () => {
   try {
@@ -276,6 +292,7 @@ router.post("/login", async (req, res, next) => {
       });
     }
 
+    await mergeGuestCartOnLogin(req, user._id);
     createSendToken(user, 200, res);
   } catch (error) {
     next(error);
@@ -305,6 +322,7 @@ router.post("/google", async (req, res, next) => {
       });
     }
 
+    await mergeGuestCartOnLogin(req, user._id);
     createSendToken(user, 200, res);
   } catch (error) {
     next(error);
@@ -319,4 +337,132 @@ router.get("/me", protect, async (req, res) => {
   });
 });
 
+// Turn abandoned cart reminder emails on or off
+router.patch("/me/cart-reminders", protect, async (req, res, next) => {
+  try {
+    if (typeof req.body.enabled !== "boolean") {
+      return next(new AppError("Please provide enabled: true or false.", 400));
+    }
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: { "cartReminders.enabled": req.body.enabled } },
+      { new: true },
+    );
+    res.status(200).json({
+      status: "success",
+      data: { cartReminders: { enabled: user.cartReminders.enabled } },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Saved addresses ---
+
+// The saved address fields present in a request body; throws on a bad pincode
+const readAddressFields = (body) => {
+  const fields = {};
+  for (const name of ["label", ...ADDRESS_FIELD_NAMES]) {
+    if (body[name] !== undefined) fields[name] = body[name];
+  }
+  if (fields.pincode !== undefined && !isValidPincode(fields.pincode)) {
+    throw new AppError("Please enter a valid 6-digit pincode.", 400);
+  }
+  return fields;
+};
+
+// Loads the current user and one of their saved addresses, or throws a 404
+const findSavedAddress = async (userId, addressId) => {
+  const user = await User.findById(userId);
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    throw new AppError("No saved address found with that ID.", 404);
+  }
+  return { user, address };
+};
+
+// List saved addresses, default first
+router.get("/me/addresses", protect, async (req, res) => {
+  const addresses = [...req.user.addresses].sort(
+    (a, b) => Number(b.isDefault) - Number(a.isDefault),
+  );
+  res.status(200).json({
+    status: "success",
+    results: addresses.length,
+    data: { addresses },
+  });
+});
+
+// Save a new address; { ...address fields, label?, isDefault? }
+router.post("/me/addresses", protect, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    user.addresses.push(readAddressFields(req.body));
+    const address = user.addresses[user.addresses.length - 1];
+    if (req.body.isDefault === true) user.setDefaultAddress(address._id);
+    await user.save();
+    res.status(201).json({
+      status: "success",
+      data: { address },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit a saved address, or make it the default with { isDefault: true }
+router.patch("/me/addresses/:addressId", protect, async (req, res, next) => {
+  try {
+    const { user, address } = await findSavedAddress(
+      req.user._id,
+      req.params.addressId,
+    );
+    address.set(readAddressFields(req.body));
+    if (req.body.isDefault === true) user.setDefaultAddress(address._id);
+    await user.save();
+    res.status(200).json({
+      status: "success",
+      data: { address },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a saved address; the next one becomes the default if needed
+router.delete("/me/addresses/:addressId", protect, async (req, res, next) => {
+  try {
+    const { user, address } = await findSavedAddress(
+      req.user._id,
+      req.params.addressId,
+    );
+    address.deleteOne();
+    await user.save();
+    res.status(204).json({
+      status: "success",
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// One-click unsubscribe link from the reminder email
+router.get("/cart-reminders/unsubscribe", async (req, res, next) => {
+  try {
+    const userId = verifyUnsubscribeToken(req.query.token);
+    await User.updateOne(
+      { _id: userId },
+      { $set: { "cartReminders.enabled": false } },
+    );
+    res
+      .status(200)
+      .send(
+        "<p>You will no longer receive cart reminder emails.</p><p>तुम्हाला यापुढे कार्टच्या आठवणीचे ईमेल येणार नाहीत.</p>",
+      );
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -1,23 +1,102 @@
 import express from "express";
+import mongoose from "mongoose";
 import Cart from "../models/cart.js"; // Assuming models are relative to this file's new location or configured path
 import Product from "../models/product.js"; // Assuming models are relative
 import AppError from "../utils/appError.js"; // Assuming utils are relative
 import { protect } from "../middleware/auth.js"; // Assuming middleware is relative
+import { maxLineQuantity, isSameLine } from "../utils/pricing.js";
+import { buildCheckoutQuote } from "../utils/checkoutQuote.js";
+import {
+  GUEST_CART_HEADER,
+  hashGuestCartToken,
+  createGuestCart,
+} from "../utils/guestCart.js";
 
 const router = express.Router();
 
+// POST /guest - Start a guest cart; send the token back in X-Guest-Cart-Token
+router.post("/guest", async (req, res, next) => {
+  try {
+    const { token, expiresAt } = await createGuestCart();
+    res.status(201).json({
+      status: "success",
+      data: { guestCartToken: token, expiresAt },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // --- Middleware ---
-// Apply authentication middleware to all cart routes
-router.use(protect);
+// Logged-in users are identified by their JWT, guests by their cart token.
+// req.cartOwner is the filter that selects the caller's cart.
+const identifyCartOwner = (req, res, next) => {
+  if (req.headers.authorization?.startsWith("Bearer")) {
+    return protect(req, res, (err) => {
+      if (err) return next(err);
+      req.cartOwner = { user: req.user._id };
+      next();
+    });
+  }
+  const guestToken = req.get(GUEST_CART_HEADER);
+  if (guestToken) {
+    req.cartOwner = { guestTokenHash: hashGuestCartToken(guestToken) };
+    return next();
+  }
+  next(
+    new AppError(
+      "You are not logged in! Please log in or start a guest cart.",
+      401,
+    ),
+  );
+};
+router.use(identifyCartOwner);
 
-// GET / - Get cart for the current user
+// Users get a cart on first use; guest carts only come from POST /guest
+const createCartFor = (req, items) => {
+  // Never create a cart that belongs to nobody
+  if (!req.cartOwner || Object.keys(req.cartOwner).length === 0) {
+    throw new AppError(
+      "Could not tell whose cart this is. Please log in again.",
+      401,
+    );
+  }
+  if (!req.user) {
+    throw new AppError(
+      "Your guest cart has expired. Please start a new one.",
+      404,
+    );
+  }
+  return Cart.create({ ...req.cartOwner, items });
+};
+
+// Matches a line inside the items array; null also matches a missing variantId
+const lineMatch = (productId, variantId) => ({
+  productId,
+  variantId: variantId || null,
+});
+
+// GET / - Get cart for the current user or guest
 router.get("/", async (req, res, next) => {
   try {
-    const cart = await Cart.findOne({ user: req.user._id }).populate(
-      "items.productId",
-    );
+    const cart = await Cart.findOne(req.cartOwner).populate("items.productId");
     // If cart is null (doesn't exist), send back an empty cart structure
-    res.status(200).json({ status: "success", data: cart || { items: [] } });
+    const data = cart ? cart.toObject() : { items: [] };
+    // Flag lines that can't currently be fulfilled from stock
+    data.items = data.items.map((item) => {
+      const variant = item.variantId
+        ? item.productId?.variants?.find(
+            (v) => v._id.toString() === item.variantId.toString(),
+          )
+        : null;
+      const stockSource = item.variantId ? variant : item.productId;
+      return {
+        ...item,
+        variant,
+        isAvailable: Boolean(stockSource) && stockSource.stock >= item.quantity,
+      };
+    });
+    res.status(200).json({ status: "success", data });
   } catch (err) {
     next(err); // Pass errors to the error handling middleware
   }
@@ -26,7 +105,7 @@ router.get("/", async (req, res, next) => {
 // POST /add - Add item to cart
 router.post("/add", async (req, res, next) => {
   try {
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
     if (!productId) {
       return next(new AppError("Product ID is required", 400));
     }
@@ -34,28 +113,42 @@ router.post("/add", async (req, res, next) => {
     if (!product) {
       return next(new AppError("Product not found", 404));
     }
+    // Products sold in pack sizes need one chosen; others must not have one
+    if (product.variants?.length > 0 && !product.findVariant(variantId)) {
+      return next(new AppError("Please choose a valid pack size", 400));
+    }
+    if (!product.variants?.length && variantId) {
+      return next(
+        new AppError("This product is not sold in multiple pack sizes", 400),
+      );
+    }
 
     // Find the user's cart or create it if it doesn't exist
-    let cart = await Cart.findOne({ user: req.user._id });
+    let cart = await Cart.findOne(req.cartOwner);
 
     if (!cart) {
       // If no cart, create one and add the item
-      cart = await Cart.create({
-        user: req.user._id,
-        items: [{ productId, quantity: 1 }],
-      });
+      cart = await createCartFor(req, [{ productId, variantId, quantity: 1 }]);
     } else {
-      // Cart exists, check if item is already in the cart
-      const itemIndex = cart.items.findIndex(
-        (item) => item.productId.toString() === productId,
+      // Cart exists, check if item (same pack size) is already in the cart
+      const itemIndex = cart.items.findIndex((item) =>
+        isSameLine(item, { productId, variantId }),
       );
 
       if (itemIndex > -1) {
         // Product exists in the cart, increment quantity
+        if (cart.items[itemIndex].quantity >= maxLineQuantity()) {
+          return next(
+            new AppError(
+              `You can order at most ${maxLineQuantity()} units of each item`,
+              400,
+            ),
+          );
+        }
         cart.items[itemIndex].quantity += 1;
       } else {
         // Product does not exist in cart, add new item
-        cart.items.push({ productId, quantity: 1 });
+        cart.items.push({ productId, variantId, quantity: 1 });
       }
       await cart.save(); // Save changes to the cart
     }
@@ -74,7 +167,7 @@ router.post("/add", async (req, res, next) => {
 // PATCH /update - Update item quantity in cart
 router.patch("/update", async (req, res, next) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
 
     if (!productId || quantity === undefined) {
       return next(new AppError("Product ID and quantity are required", 400));
@@ -86,11 +179,20 @@ router.patch("/update", async (req, res, next) => {
       return next(new AppError("Quantity must be a number", 400));
     }
 
+    if (quantityNum > maxLineQuantity()) {
+      return next(
+        new AppError(
+          `You can order at most ${maxLineQuantity()} units of each item`,
+          400,
+        ),
+      );
+    }
+
     if (quantityNum <= 0) {
       // If quantity is 0 or less, remove the item instead
       await Cart.findOneAndUpdate(
-        { user: req.user._id },
-        { $pull: { items: { productId } } },
+        req.cartOwner,
+        { $pull: { items: lineMatch(productId, variantId) } },
         { new: true }, // Although 'new' isn't strictly needed for $pull here, good practice
       );
       res
@@ -99,7 +201,10 @@ router.patch("/update", async (req, res, next) => {
     } else {
       // Update the quantity for the specific item
       const cart = await Cart.findOneAndUpdate(
-        { user: req.user._id, "items.productId": productId },
+        {
+          ...req.cartOwner,
+          items: { $elemMatch: lineMatch(productId, variantId) },
+        },
         { $set: { "items.$.quantity": quantityNum } },
         { new: true }, // Return the updated document
       );
@@ -119,14 +224,14 @@ router.patch("/update", async (req, res, next) => {
 // DELETE /remove - Remove item from cart
 router.delete("/remove", async (req, res, next) => {
   try {
-    const { productId } = req.body; // Often productId might come from params (e.g., /remove/:productId) or query string
+    const { productId, variantId } = req.body; // Often productId might come from params (e.g., /remove/:productId) or query string
     if (!productId) {
       return next(new AppError("Product ID is required", 400));
     }
 
     const cart = await Cart.findOneAndUpdate(
-      { user: req.user._id },
-      { $pull: { items: { productId } } },
+      req.cartOwner,
+      { $pull: { items: lineMatch(productId, variantId) } },
       { new: true }, // Return the modified cart
     );
 
@@ -148,7 +253,7 @@ router.delete("/remove", async (req, res, next) => {
 router.delete("/clear", async (req, res, next) => {
   try {
     const cart = await Cart.findOneAndUpdate(
-      { user: req.user._id },
+      req.cartOwner,
       { $set: { items: [] } }, // Set items array to empty
       { new: true }, // Return the modified cart
     );
@@ -169,17 +274,64 @@ router.delete("/clear", async (req, res, next) => {
     next(err);
   }
 });
+
+// GET /quote - Checkout quote for the saved cart
+// (optional ?couponCode=&pincode=&district=&state=)
+router.get("/quote", async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(new AppError("Please log in to check out.", 401));
+    }
+    const { couponCode, pincode, district, state } = req.query;
+    const quote = await buildCheckoutQuote(req.user._id, {
+      couponCode,
+      shippingAddress: { pincode, district, state },
+    });
+    res.status(200).json({ status: "success", data: quote });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Checks client-sent cart lines and merges duplicates; throws on bad input
+const normalizeCartItems = (items) => {
+  const maxQuantity = maxLineQuantity();
+  const lines = new Map();
+  for (const item of items) {
+    const productId = item?.productId?._id || item?.productId;
+    const variantId = item?.variantId?._id || item?.variantId || undefined;
+    const quantity = Number(item?.quantity);
+    if (!mongoose.isValidObjectId(productId)) {
+      throw new AppError("Each cart item must have a valid product ID", 400);
+    }
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      throw new AppError(`Invalid variant ID: ${variantId}`, 400);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError("Quantities must be whole numbers of at least 1", 400);
+    }
+    const key = `${productId}:${variantId || ""}`;
+    const existing = lines.get(key);
+    lines.set(key, {
+      productId,
+      variantId,
+      quantity: Math.min((existing?.quantity || 0) + quantity, maxQuantity),
+    });
+  }
+  return [...lines.values()];
+};
+
 // POST /api/cart/sync - Save full cart (on logout or manual sync)
 router.post("/sync", async (req, res, next) => {
   try {
-    const { items } = req.body;
-    if (!Array.isArray(items)) {
+    if (!Array.isArray(req.body.items)) {
       return next(new AppError("Invalid items array", 400));
     }
+    const items = normalizeCartItems(req.body.items);
 
-    let cart = await Cart.findOne({ user: req.user._id });
+    let cart = await Cart.findOne(req.cartOwner);
     if (!cart) {
-      cart = await Cart.create({ user: req.user._id, items });
+      cart = await createCartFor(req, items);
     } else {
       cart.items = items;
       await cart.save();
@@ -0,0 +1,129 @@
+import express from "express";
+import Coupon from "../models/coupon.js";
+import { protect, restrictTo } from "../middleware/auth.js";
+import AppError from "../utils/appError.js";
+import { priceOrder } from "../utils/pricing.js";
+
+const router = express.Router();
+
+// Validate a coupon against the current cart and preview the discount
+router.post("/validate", protect, async (req, res, next) => {
+  try {
+    const { code, items, shippingAddress } = req.body;
+    if (!code) {
+      return next(new AppError("Please provide a coupon code.", 400));
+    }
+
+    const pricing = await priceOrder({
+      items,
+      couponCode: code,
+      userId: req.user._id,
+      shippingAddress, // Optional; shipping uses the default rule without it
+    });
+
+    res.json({
+      status: "success",
+      data: {
+        coupon: {
+          code: pricing.coupon.code,
+          discountType: pricing.coupon.discountType,
+          discountValue: pricing.coupon.discountValue,
+        },
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        shippingCharge: pricing.shippingCharge,
+        total: pricing.total,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Admin CRUD ---
+router.use(protect, restrictTo("admin"));
+
+// Get all coupons (Admin only)
+router.get("/", async (req, res, next) => {
+  try {
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json({
+      status: "success",
+      results: coupons.length,
+      data: { coupons },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get coupon by ID (Admin only)
+router.get("/:id", async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return next(new AppError("No coupon found with that ID", 404));
+    }
+    res.json({
+      status: "success",
+      data: { coupon },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create coupon (Admin only)
+router.post("/", async (req, res, next) => {
+  try {
+    // usedCount is maintained by order placement, never set by hand
+    const couponData = { ...req.body };
+    delete couponData.usedCount;
+    const coupon = await Coupon.create(couponData);
+    res.status(201).json({
+      status: "success",
+      data: { coupon },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update coupon (Admin only)
+router.patch("/:id", async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return next(new AppError("No coupon found with that ID", 404));
+    }
+    const couponData = { ...req.body };
+    delete couponData.usedCount;
+    // Saved as a document so the percentage cap sees the discount type
+    coupon.set(couponData);
+    await coupon.save();
+    res.json({
+      status: "success",
+      data: { coupon },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete coupon (Admin only)
+router.delete("/:id", async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return next(new AppError("No coupon found with that ID", 404));
+    }
+    res.status(204).json({
+      status: "success",
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,21 +1,82 @@
 // routes/order.js
 import express from "express";
-import axios from "axios";
-import { Buffer } from "buffer"; // Needed for base64
-import Order from "../models/order.js";
+import Order, {
+  ORDER_STATUSES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+} from "../models/order.js";
+import { ADDRESS_FIELD_NAMES } from "../models/address.js";
 import { protect, restrictTo } from "../middleware/auth.js"; // Assuming these work
+import { idempotent } from "../middleware/idempotency.js";
 import AppError from "../utils/appError.js"; // Import custom error
-import {
-  generateMerchantTransactionId,
-  calculateChecksum,
-} from "../utils/phonepe.js"; // Import PhonePe helpers
+import { generateMerchantTransactionId } from "../utils/phonepe.js";
+import { getGateway, getDefaultGatewayName } from "../utils/gateways/index.js";
+import { recordPaymentTransaction } from "../utils/paymentLedger.js";
 import {
   sendOrderConfirmation,
   sendOrderNotificationToAdmin,
+  sendOrderCancellationEmail,
+  sendCancellationNotificationToAdmin,
+  sendReturnRequestEmail,
+  sendReturnRequestNotificationToAdmin,
+  sendReturnDecisionEmail,
+  sendOrderStatusUpdateEmail,
 } from "../utils/email.js"; // Import email functions
+import {
+  priceOrder,
+  assertClientPricingMatches,
+  roundCurrency,
+} from "../utils/pricing.js";
+import { STOCK_RELEASING_STATUSES } from "../utils/inventory.js";
+import {
+  readOrderListQuery,
+  countOrdersByStatus,
+} from "../utils/orderListing.js";
+import {
+  placeOrder,
+  releaseOrderHolds,
+  reinstateOrderHolds,
+  saveSettledOrder,
+} from "../utils/orderPlacement.js";
+import { buildReturnRequest, isFullyReturned } from "../utils/returns.js";
+import {
+  isRefundable,
+  refundOrderPayment,
+  findLatePaidAttempt,
+  refundableAmount,
+} from "../utils/refunds.js";
+import { verifyQuoteToken } from "../utils/checkoutQuote.js";
+import { isInvoiceable, buildInvoice } from "../utils/invoice.js";
+import {
+  validateShippingAddress,
+  assertCodAvailable,
+} from "../utils/pincodeDirectory.js";
 
 const router = express.Router();
 
+// Gives back whatever is left of a cancelled order's online payment
+const refundCancelledOrder = async (order, initiatedBy) => {
+  if (!isRefundable(order)) return null;
+  return refundOrderPayment(order, {
+    amount: roundCurrency(order.total - order.getRefundedAmount()),
+    reason: "cancellation",
+    initiatedBy,
+  });
+};
+
+// Sends notification emails without holding up the response; failures are logged
+const sendEmailsInBackground = (orderId, description, sends) => {
+  Promise.allSettled(sends).then((results) => {
+    results.forEach((result) => {
+      if (result.status === "rejected") {
+        console.error(
+          `Failed to send ${description} email for Order ${orderId}:`,
+          result.reason,
+        );
+      }
+    });
+  });
+};
+
 // --- GET Routes (Error handling added) ---
 
 // Get all orders for current user
@@ -68,6 +129,24 @@ router.get("/status-by-mtid/:mtid", protect, async (req, res, next) => {
   }
 });
 
+// Get orders with return requests awaiting review (Admin only)
+router.get("/returns", protect, restrictTo("admin"), async (req, res, next) => {
+  try {
+    const orders = await Order.find({ "returnRequests.status": "requested" })
+      .populate("userId", "name email")
+      .populate("items.productId", "name image")
+      .sort({ "returnRequests.requestedAt": 1 }); // Oldest requests first
+
+    res.json({
+      status: "success",
+      results: orders.length,
+      data: { orders },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get single order by ID (for user)
 router.get("/:id", protect, async (req, res, next) => {
   try {
@@ -86,7 +165,7 @@ router.get("/:id", protect, async (req, res, next) => {
 
     res.json({
       status: "success",
-      data: { order },
+      data: { order, timeline: order.getTimeline() },
     });
   } catch (error) {
     // Handle CastError specifically if needed before global handler
@@ -99,18 +178,70 @@ router.get("/:id", protect, async (req, res, next) => {
   }
 });
 
-// Get all orders (Admin only)
+// Download the PDF tax invoice (order owner or admin)
+router.get("/:id/invoice", protect, async (req, res, next) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate("items.productId", "name")
+      .populate("userId", "name email");
+
+    // Customers only see their own orders; admins see any
+    const isOwner = order?.userId?._id.equals(req.user._id);
+    if (!order || (!isOwner && req.user.role !== "admin")) {
+      return next(new AppError("No order found with that ID.", 404));
+    }
+    if (!order.invoice?.number && !isInvoiceable(order)) {
+      return next(
+        new AppError(
+          "An invoice is issued once the order is paid or placed as cash on delivery.",
+          409,
+        ),
+      );
+    }
+
+    const { filename, pdf } = await buildInvoice(order);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Content-Length": pdf.length,
+    });
+    res.send(pdf);
+  } catch (error) {
+    if (error.name === "CastError") {
+      return next(
+        new AppError(`Invalid order ID format: ${req.params.id}`, 400),
+      );
+    }
+    next(error);
+  }
+});
+
+// List orders a page at a time (Admin only), with filters, search and sorting.
+// See readOrderListQuery for the query parameters.
 router.get("/", protect, restrictTo("admin"), async (req, res, next) => {
   try {
-    const orders = await Order.find()
-      .populate("userId", "name email") // Populate user details
-      .populate("items.productId", "name") // Populate product name
-      .sort({ createdAt: -1 });
+    const { filter, countFilter, sort, page, limit } = await readOrderListQuery(
+      req.query,
+    );
+
+    const [orders, total, statusCounts] = await Promise.all([
+      Order.find(filter)
+        .populate("userId", "name email") // Populate user details
+        .populate("items.productId", "name") // Populate product name
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+      countOrdersByStatus(countFilter),
+    ]);
 
     res.json({
       status: "success",
       results: orders.length,
-      data: { orders },
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: { orders, statusCounts },
     });
   } catch (error) {
     next(error);
@@ -119,8 +250,41 @@ router.get("/", protect, restrictTo("admin"), async (req, res, next) => {
 
 // --- POST Routes (Split Logic) ---
 
+// What is being ordered and the prices the customer was shown: the signed
+// checkout quote (see GET /api/cart/quote) when sent, otherwise the body
+const readCheckout = (req) =>
+  req.body.quoteToken
+    ? verifyQuoteToken(req.body.quoteToken, req.user._id)
+    : req.body;
+
+// The address to ship to: a copy of one of the user's saved addresses when
+// the body has an addressId, otherwise the body's shippingAddress
+const readShippingAddress = (req) => {
+  const { addressId } = req.body;
+  if (!addressId) return req.body.shippingAddress;
+
+  const saved = req.user.addresses.id(addressId);
+  if (!saved) {
+    throw new AppError("No saved address found with that ID.", 404);
+  }
+  const address = { savedAddressId: saved._id };
+  for (const name of ADDRESS_FIELD_NAMES) address[name] = saved[name];
+  return address;
+};
+
+// Throws a 400 when an order total is above COD_MAX_ORDER_TOTAL (unset = no limit)
+const assertWithinCodLimit = (total) => {
+  const maxTotal = Number(process.env.COD_MAX_ORDER_TOTAL);
+  if (maxTotal > 0 && total > maxTotal) {
+    throw new AppError(
+      `Cash on delivery is only available for orders up to ₹${maxTotal}.`,
+      400,
+    );
+  }
+};
+
 // Create new COD order ONLY
-router.post("/", protect, async (req, res, next) => {
+router.post("/", protect, idempotent, async (req, res, next) => {
   if (req.body.paymentMethod !== "cod") {
     return next(
       new AppError(
@@ -130,28 +294,38 @@ router.post("/", protect, async (req, res, next) => {
     );
   }
   try {
+    const checkout = readCheckout(req);
+    const address = readShippingAddress(req);
+    // Validate required fields manually before create if needed
+    if (!address || !checkout.items || checkout.items.length === 0) {
+      return next(new AppError("Missing required order data for COD.", 400));
+    }
+    // We must deliver to the pincode and offer COD there
+    const shippingAddress = await validateShippingAddress(address, {
+      paymentMethod: "cod",
+    });
+
+    // Prices, discount, shipping and total are always computed on the server
+    const pricing = await priceOrder({
+      items: checkout.items,
+      couponCode: checkout.couponCode,
+      userId: req.user._id,
+      shippingAddress, // Shipping rules go by its pincode
+    });
+    assertClientPricingMatches(checkout, pricing);
+    assertWithinCodLimit(pricing.total);
+
     const orderData = {
       userId: req.user.id,
-      items: req.body.items,
-      shippingAddress: req.body.shippingAddress,
+      shippingAddress,
       paymentMethod: "cod",
       paymentGateway: "cod",
-      shippingCharge: req.body.shippingCharge,
-      total: req.body.total,
-      // Status and paymentStatus set by pre-save hook
+      // Items and amounts come from pricing; status and paymentStatus set by pre-save hook
     };
 
-    // Validate required fields manually before create if needed
-    if (
-      !orderData.shippingAddress ||
-      !orderData.total ||
-      !orderData.items ||
-      orderData.items.length === 0
-    ) {
-      return next(new AppError("Missing required order data for COD.", 400));
-    }
-
-    let order = await Order.create(orderData);
+    // Reserves stock, redeems the coupon and clears the ordered items from
+    // the cart along with creating the order
+    let order = await placeOrder(orderData, pricing, { removeFromCart: true });
 
     // Populate fields necessary for emails AFTER creation
     order = await Order.findById(order._id).populate([
@@ -191,205 +365,682 @@ router.post("/", protect, async (req, res, next) => {
   }
 });
 
-// Initiate PhonePe Payment
-router.post("/initiate-payment", protect, async (req, res, next) => {
-  if (req.body.paymentMethod !== "online") {
-    return next(
-      new AppError(
-        "This endpoint is only for online payments via PhonePe.",
-        400,
-      ),
+// Marks an online order whose payment could not be started as failed
+const failPaymentInitiation = async (order, note) => {
+  order.transitionTo("payment_failed", { actor: "system", note });
+  order.paymentStatus = "failed";
+  await order.save();
+  await releaseOrderHolds(order);
+};
+
+/**
+ * Hands the order's current payment attempt to its gateway and returns the
+ * pay page URL. If the gateway refuses or can't be reached, the attempt is
+ * recorded, the order marked payment_failed and its holds released before
+ * the error is rethrown.
+ */
+const startGatewayPayment = async (order, gateway, mobileNumber) => {
+  const { merchantTransactionId, total } = order;
+  try {
+    const { redirectUrl, raw } = await gateway.initiate({
+      merchantTransactionId,
+      amount: total,
+      userId: order.userId,
+      mobileNumber,
+    });
+    await recordPaymentTransaction({
+      order: order._id,
+      gateway: gateway.name,
+      type: "initiation",
+      merchantTransactionId,
+      status: "pending",
+      amount: total,
+      raw,
+    });
+    console.log(
+      `${gateway.label} payment initiated successfully for Order ${order._id} / MTID ${merchantTransactionId}`,
     );
+    return redirectUrl;
+  } catch (error) {
+    await recordPaymentTransaction({
+      order: order._id,
+      gateway: gateway.name,
+      type: "initiation",
+      merchantTransactionId,
+      status: "error",
+      amount: total,
+      message: error.message,
+    });
+    await failPaymentInitiation(order, error.message);
+    throw error;
   }
-  try {
-    const { items, shippingAddress, shippingCharge, total } = req.body;
-    const userId = req.user._id;
-    const userPhone = shippingAddress?.phone; // Get phone from shipping address
-    const userEmail = req.user.email;
-
-    // Basic validation
-    if (
-      !shippingAddress ||
-      !total ||
-      !items ||
-      items.length === 0 ||
-      !userPhone
-    ) {
+};
+
+// The requested (or default) gateway, if it can take payments here
+const resolvePaymentGateway = (name) => {
+  const gateway = getGateway(name || getDefaultGatewayName());
+  if (!gateway.isConfigured()) {
+    console.error(`${gateway.label} gateway is not configured!`);
+    throw new AppError("Payment gateway configuration error.", 500);
+  }
+  return gateway;
+};
+
+// Initiate an online payment through the requested (or default) gateway
+router.post(
+  "/initiate-payment",
+  protect,
+  idempotent,
+  async (req, res, next) => {
+    if (req.body.paymentMethod !== "online") {
       return next(
-        new AppError(
-          "Missing required data for online payment initiation.",
-          400,
-        ),
+        new AppError("This endpoint is only for online payments.", 400),
       );
     }
-    if (
-      !process.env.PHONEPE_MERCHANT_ID ||
-      !process.env.PHONEPE_SALT_KEY ||
-      !process.env.PHONEPE_SALT_INDEX ||
-      !process.env.PHONEPE_PAY_API_URL ||
-      !process.env.PHONEPE_REDIRECT_URL ||
-      !process.env.PHONEPE_CALLBACK_URL
-    ) {
-      console.error("PhonePe environment variables not configured!");
-      return next(new AppError("Payment gateway configuration error.", 500));
+    try {
+      const checkout = readCheckout(req);
+      const { items } = checkout;
+      const userId = req.user._id;
+      const address = readShippingAddress(req);
+      const userPhone = address?.phone; // Get phone from shipping address
+
+      // Basic validation
+      if (!address || !items || items.length === 0 || !userPhone) {
+        return next(
+          new AppError(
+            "Missing required data for online payment initiation.",
+            400,
+          ),
+        );
+      }
+      // We must deliver to the pincode
+      const shippingAddress = await validateShippingAddress(address, {
+        paymentMethod: "online",
+      });
+      const gateway = resolvePaymentGateway(req.body.paymentGateway);
+
+      // Prices, discount, shipping and total are always computed on the server
+      const pricing = await priceOrder({
+        items,
+        couponCode: checkout.couponCode,
+        userId,
+        shippingAddress, // Shipping rules go by its pincode
+      });
+      assertClientPricingMatches(checkout, pricing);
+
+      // 1. Create Order in DB with 'payment_pending' status
+      const orderData = {
+        userId,
+        shippingAddress,
+        paymentMethod: "online",
+        paymentGateway: gateway.name,
+        merchantTransactionId: generateMerchantTransactionId(),
+        paymentInitiatedAt: new Date(),
+        // Items and amounts come from pricing; status and paymentStatus set by pre-save hook
+      };
+      const order = await placeOrder(orderData, pricing);
+
+      // 2. Hand the payment to the gateway; a refusal fails the order and releases its stock
+      const redirectUrl = await startGatewayPayment(order, gateway, userPhone);
+      res.json({ status: "success", redirectUrl });
+    } catch (error) {
+      console.error("Initiate payment controller error:", error);
+      // Let the global error handler manage the response format
+      next(error);
     }
+  },
+);
 
-    const merchantTransactionId = generateMerchantTransactionId();
+// COD must be offered at the order's pincode, and the order total must be
+// within COD_MAX_ORDER_TOTAL (unset = no limit)
+const assertCodAllowed = async (order) => {
+  await assertCodAvailable(order.shippingAddress.pincode);
+  assertWithinCodLimit(order.total);
+};
 
-    // 1. Create Order in DB with 'payment_pending' status
-    const orderData = {
-      userId,
-      items,
-      shippingAddress,
-      paymentMethod: "online",
-      paymentGateway: "phonepe",
-      shippingCharge,
-      total,
-      merchantTransactionId,
-      // Status and paymentStatus set by pre-save hook
-    };
-    const order = await Order.create(orderData);
+/**
+ * Retry payment for own order after its online payment failed or expired.
+ * The order keeps its items and prices; stock and the coupon use are taken
+ * again. Body: { paymentMethod: "online" | "cod", paymentGateway? }.
+ * Online retries get a fresh merchantTransactionId and the earlier attempt
+ * is kept in paymentAttempts.
+ */
+router.post(
+  "/:id/retry-payment",
+  protect,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const paymentMethod = req.body.paymentMethod || "online";
+      if (!["online", "cod"].includes(paymentMethod)) {
+        return next(
+          new AppError("Payment method must be either online or cod.", 400),
+        );
+      }
 
-    // 2. Prepare PhonePe Payload
-    const paymentData = {
-      merchantId: process.env.PHONEPE_MERCHANT_ID,
-      merchantTransactionId: merchantTransactionId,
-      merchantUserId: userId.toString(),
-      amount: Math.round(total * 100), // Ensure amount is integer (paise)
-      redirectUrl: `${process.env.PHONEPE_REDIRECT_URL}?mtid=${merchantTransactionId}`, // Pass mtid back
-      redirectMode: "POST",
-      callbackUrl: process.env.PHONEPE_CALLBACK_URL,
-      mobileNumber: userPhone.replace(/[^0-9]/g, "").slice(-10), // Clean phone number if needed
-      paymentInstrument: { type: "PAY_PAGE" },
-      // email: userEmail // Optional
-    };
+      const order = await Order.findOne({
+        _id: req.params.id,
+        userId: req.user._id, // Customers can only retry their own orders
+      });
+      if (!order) {
+        return next(new AppError("No order found with that ID", 404));
+      }
+      if (
+        order.status !== "payment_failed" ||
+        order.paymentStatus !== "failed"
+      ) {
+        return next(
+          new AppError(
+            "Payment can only be retried for orders whose payment failed.",
+            409,
+          ),
+        );
+      }
+      const retryWindowHours =
+        Number(process.env.PAYMENT_RETRY_WINDOW_HOURS) || 24;
+      if (
+        Date.now() - order.createdAt.getTime() >
+        retryWindowHours * 60 * 60 * 1000
+      ) {
+        return next(
+          new AppError(
+            "This order can no longer be paid for. Please place a new order.",
+            409,
+          ),
+        );
+      }
 
-    // 3. Encode & Checksum
-    const payloadBase64 = Buffer.from(JSON.stringify(paymentData)).toString(
-      "base64",
-    );
-    const checksum = calculateChecksum(
-      payloadBase64,
-      process.env.PHONEPE_SALT_KEY,
-      process.env.PHONEPE_SALT_INDEX,
-    );
+      const gateway =
+        paymentMethod === "online"
+          ? resolvePaymentGateway(
+              req.body.paymentGateway || order.paymentGateway,
+            )
+          : null;
+      if (paymentMethod === "cod") await assertCodAllowed(order);
 
-    // 4. Call PhonePe API
-    const options = {
-      method: "POST",
-      url: process.env.PHONEPE_PAY_API_URL,
-      headers: {
-        accept: "application/json",
-        "Content-Type": "application/json",
-        "X-VERIFY": checksum,
-      },
-      data: { request: payloadBase64 },
-    };
+      // Throws 409 if an item sold out or the coupon ran out meanwhile
+      await reinstateOrderHolds(order);
 
-    console.log("Calling PhonePe Pay API...");
-    const phonePeResponse = await axios.request(options);
-    console.log("PhonePe Response Status:", phonePeResponse.status);
-    // console.log("PhonePe Response Data:", JSON.stringify(phonePeResponse.data));
-
-    // 5. Process Response
-    if (
-      phonePeResponse.data?.success &&
-      phonePeResponse.data?.data?.instrumentResponse?.redirectInfo?.url
-    ) {
-      console.log(
-        `PhonePe payment initiated successfully for Order ${order._id} / MTID ${merchantTransactionId}`,
+      try {
+        order.supersedePaymentAttempt();
+        if (paymentMethod === "cod") {
+          order.paymentMethod = "cod"; // pre-save hook sets paymentStatus
+          order.paymentGateway = "cod";
+          order.paymentInitiatedAt = undefined;
+          order.transitionTo("processing", {
+            actor: "customer",
+            changedBy: req.user._id,
+            note: "Switched to cash on delivery after a failed payment",
+          });
+        } else {
+          order.paymentGateway = gateway.name;
+          order.merchantTransactionId = generateMerchantTransactionId();
+          order.paymentInitiatedAt = new Date();
+          order.paymentStatus = "pending";
+          order.transitionTo("payment_pending", {
+            actor: "customer",
+            changedBy: req.user._id,
+            note: `Payment retried (attempt ${order.paymentAttempts.length + 1})`,
+          });
+        }
+        // A COD order is settled now; online ones leave the cart on payment
+        if (paymentMethod === "cod") {
+          await saveSettledOrder(order);
+        } else {
+          await order.save();
+        }
+      } catch (error) {
+        await releaseOrderHolds(order);
+        throw error;
+      }
+
+      if (paymentMethod === "cod") {
+        const populatedOrder = await Order.findById(order._id).populate([
+          { path: "userId", select: "email name" },
+          { path: "items.productId", select: "name image" },
+        ]);
+        sendEmailsInBackground(order._id, "COD confirmation", [
+          sendOrderConfirmation(populatedOrder.userId.email, populatedOrder),
+          sendOrderNotificationToAdmin(populatedOrder),
+        ]);
+        return res.json({ status: "success", data: { order: populatedOrder } });
+      }
+
+      const redirectUrl = await startGatewayPayment(
+        order,
+        gateway,
+        order.shippingAddress.phone,
       );
       res.json({
         status: "success",
-        redirectUrl:
-          phonePeResponse.data.data.instrumentResponse.redirectInfo.url,
+        redirectUrl,
+        data: { merchantTransactionId: order.merchantTransactionId },
       });
-    } else {
-      console.error(
-        `PhonePe payment initiation failed for Order ${order._id}:`,
-        phonePeResponse.data?.message || "Unknown error from PhonePe",
-      );
-      // Update order status to failed as initiation failed
-      await Order.findByIdAndUpdate(order._id, {
-        status: "payment_failed",
-        paymentStatus: "failed",
+    } catch (error) {
+      if (error.name === "CastError") {
+        return next(
+          new AppError(`Invalid order ID format: ${req.params.id}`, 400),
+        );
+      }
+      next(error);
+    }
+  },
+);
+
+// --- PATCH Routes (Error handling added) ---
+
+// Shipment fields an admin may set; only those present in the body are returned
+const readShipmentFields = (body = {}) => {
+  const fields = {};
+  for (const name of [
+    "carrier",
+    "trackingNumber",
+    "trackingUrl",
+    "dispatchedAt",
+    "expectedDeliveryAt",
+  ]) {
+    if (body[name] !== undefined) fields[name] = body[name];
+  }
+  return fields;
+};
+
+// Update order status (Admin only)
+router.patch(
+  "/:id/status",
+  protect,
+  restrictTo("admin"),
+  async (req, res, next) => {
+    try {
+      const { status, note } = req.body;
+      if (!status) {
+        return next(new AppError("Please provide a status to update.", 400));
+      }
+      if (!ORDER_STATUSES.includes(status)) {
+        return next(new AppError(`Invalid status value: ${status}`, 400));
+      }
+
+      // Populate needed fields if sending emails on status change
+      const order = await Order.findById(req.params.id).populate([
+        { path: "userId", select: "name email" },
+        { path: "items.productId", select: "name image" },
+      ]);
+
+      if (!order) {
+        return next(new AppError("No order found with that ID", 404));
+      }
+
+      // Leaving payment_failed needs stock again, which only the retry route takes
+      if (order.status === "payment_failed") {
+        return next(
+          new AppError(
+            "Orders with a failed payment can only be retried by the customer.",
+            409,
+          ),
+        );
+      }
+
+      // Online orders reach processing only when the gateway confirms payment
+      if (
+        order.status === "payment_pending" &&
+        order.paymentMethod !== "cod" &&
+        status === "processing"
+      ) {
+        return next(
+          new AppError(
+            "This order is still waiting for its online payment. It moves to processing once the payment is confirmed.",
+            409,
+          ),
+        );
+      }
+
+      // Shipping is recorded with the courier and AWB the customer tracks it by
+      if (status === "shipped") {
+        const shipment = readShipmentFields(req.body.shipment);
+        if (!shipment.carrier || !shipment.trackingNumber) {
+          return next(
+            new AppError(
+              "Please provide shipment.carrier and shipment.trackingNumber to mark the order shipped.",
+              400,
+            ),
+          );
+        }
+        order.shipment = shipment;
+      }
+
+      // Rejects transitions not listed in ORDER_STATUS_TRANSITIONS
+      order.transitionTo(status, {
+        actor: "admin",
+        changedBy: req.user._id,
+        note,
+      });
+      await order.save();
+
+      if (STOCK_RELEASING_STATUSES.includes(order.status)) {
+        await releaseOrderHolds(order);
+      }
+      if (order.status === "cancelled") {
+        await refundCancelledOrder(order, req.user._id);
+      }
+
+      // Tell the customer in English and Marathi; failures are only logged
+      sendEmailsInBackground(order._id, `${order.status} status update`, [
+        sendOrderStatusUpdateEmail(order.userId.email, order),
+      ]);
+
+      res.json({
+        status: "success",
+        data: { order },
       });
-      // Send specific error message if available
-      throw new AppError(
-        phonePeResponse.data?.message ||
-          "Failed to initiate payment with PhonePe.",
-        500,
+    } catch (error) {
+      if (error.name === "CastError") {
+        return next(
+          new AppError(`Invalid order ID format: ${req.params.id}`, 400),
+        );
+      }
+      next(error);
+    }
+  },
+);
+
+// --- Cancellation & Returns ---
+
+// Cancel own order (only before it ships)
+router.post("/:id/cancel", protect, async (req, res, next) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).populate([
+      { path: "userId", select: "name email" },
+      { path: "items.productId", select: "name image" },
+    ]);
+
+    if (!order) {
+      return next(
+        new AppError("No order found with that ID for this user.", 404),
       );
     }
-  } catch (error) {
-    console.error("Initiate payment controller error:", error);
-    // Let the global error handler manage the response format
-    // Ensure AppError is passed correctly
-    if (axios.isAxiosError(error)) {
-      console.error("PhonePe API Call Error:", error.response?.data);
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
       return next(
         new AppError(
-          `PhonePe API Error: ${error.response?.data?.message || error.message}`,
-          error.response?.status || 500,
+          `This order is ${order.status} and can no longer be cancelled. Please contact support.`,
+          400,
         ),
       );
     }
-    // Pass other errors (like AppError thrown above or DB errors)
+
+    order.transitionTo("cancelled", {
+      actor: "customer",
+      changedBy: req.user._id,
+      note: req.body.reason || "Cancelled by customer",
+    });
+    await order.save();
+    await releaseOrderHolds(order);
+    await refundCancelledOrder(order, req.user._id);
+
+    sendEmailsInBackground(order._id, "cancellation", [
+      sendOrderCancellationEmail(order.userId.email, order),
+      sendCancellationNotificationToAdmin(order),
+    ]);
+
+    res.json({
+      status: "success",
+      data: { order, timeline: order.getTimeline() },
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return next(
+        new AppError(`Invalid order ID format: ${req.params.id}`, 400),
+      );
+    }
     next(error);
   }
 });
 
-// --- PATCH Routes (Error handling added) ---
+// Request a return for some or all items of a delivered order
+router.post("/:id/returns", protect, async (req, res, next) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+    }).populate([
+      { path: "userId", select: "name email" },
+      { path: "items.productId", select: "name image" },
+    ]);
 
-// Update order status (Admin only)
+    if (!order) {
+      return next(
+        new AppError("No order found with that ID for this user.", 404),
+      );
+    }
+
+    // Validates the order status, return window and item quantities
+    order.returnRequests.push(
+      buildReturnRequest(order, {
+        reason: req.body.reason,
+        items: req.body.items,
+      }),
+    );
+    await order.save();
+    const returnRequest = order.returnRequests.at(-1);
+
+    sendEmailsInBackground(order._id, "return request", [
+      sendReturnRequestEmail(order.userId.email, order, returnRequest),
+      sendReturnRequestNotificationToAdmin(order, returnRequest),
+    ]);
+
+    res.status(201).json({
+      status: "success",
+      data: { returnRequest },
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return next(
+        new AppError(`Invalid order ID format: ${req.params.id}`, 400),
+      );
+    }
+    next(error);
+  }
+});
+
+// Approve or reject a return request (Admin only)
 router.patch(
-  "/:id/status",
+  "/:id/returns/:returnId",
   protect,
   restrictTo("admin"),
   async (req, res, next) => {
     try {
-      const { status } = req.body;
-      // Optional: Add validation for allowed status transitions
-      if (!status) {
-        return next(new AppError("Please provide a status to update.", 400));
+      const { decision, note } = req.body;
+      if (!["approve", "reject"].includes(decision)) {
+        return next(
+          new AppError("Decision must be either 'approve' or 'reject'.", 400),
+        );
       }
 
-      const allowedStatuses = [
-        "payment_pending",
-        "processing",
-        "shipped",
-        "delivered",
-        "completed",
-        "cancelled",
-        "payment_failed",
-        "payment_issue",
-      ];
-      if (!allowedStatuses.includes(status)) {
-        return next(new AppError(`Invalid status value: ${status}`, 400));
+      const order = await Order.findById(req.params.id).populate([
+        { path: "userId", select: "name email" },
+        { path: "items.productId", select: "name image" },
+      ]);
+      if (!order) {
+        return next(new AppError("No order found with that ID", 404));
+      }
+
+      const returnRequest = order.returnRequests.id(req.params.returnId);
+      if (!returnRequest) {
+        return next(new AppError("No return request found with that ID", 404));
+      }
+      if (returnRequest.status !== "requested") {
+        return next(
+          new AppError(
+            `This return request was already ${returnRequest.status}.`,
+            409,
+          ),
+        );
+      }
+
+      returnRequest.status = decision === "approve" ? "approved" : "rejected";
+      returnRequest.resolvedAt = new Date();
+      returnRequest.resolvedBy = req.user._id;
+      returnRequest.adminNote = note;
+
+      // Every unit has come back: the order as a whole is returned
+      if (returnRequest.status === "approved" && isFullyReturned(order)) {
+        order.transitionTo("returned", {
+          actor: "admin",
+          changedBy: req.user._id,
+          note: "All items returned",
+        });
+      }
+      await order.save();
+
+      // Prepaid orders are refunded through the gateway; COD returns are settled offline
+      if (returnRequest.status === "approved" && isRefundable(order)) {
+        await refundOrderPayment(order, {
+          amount: Math.min(
+            returnRequest.amount,
+            roundCurrency(order.total - order.getRefundedAmount()),
+          ),
+          reason: "return",
+          returnRequestId: returnRequest._id,
+          initiatedBy: req.user._id,
+        });
       }
 
-      const order = await Order.findByIdAndUpdate(
-        req.params.id,
-        { status: status },
-        // Optionally update paymentStatus based on fulfillment status if needed
-        // { status: status, ...(status === 'completed' ? { paymentStatus: 'paid'} : {}) },
-        { new: true, runValidators: true },
-      ).populate("userId", "name email"); // Populate needed fields if sending emails on status change
+      sendEmailsInBackground(order._id, "return decision", [
+        sendReturnDecisionEmail(order.userId.email, order, returnRequest),
+      ]);
+
+      res.json({
+        status: "success",
+        data: { order, returnRequest },
+      });
+    } catch (error) {
+      if (error.name === "CastError") {
+        return next(new AppError("Invalid order or return request ID.", 400));
+      }
+      next(error);
+    }
+  },
+);
 
+// Correct the courier, AWB or expected delivery date of a shipment (Admin only)
+router.patch(
+  "/:id/shipment",
+  protect,
+  restrictTo("admin"),
+  async (req, res, next) => {
+    try {
+      const order = await Order.findById(req.params.id);
       if (!order) {
         return next(new AppError("No order found with that ID", 404));
       }
+      if (!order.shipment) {
+        return next(new AppError("This order has not been shipped yet.", 409));
+      }
 
-      // Optional: Send status update email to user
-      // try {
-      //     await sendOrderStatusUpdateEmail(order.userId.email, order);
-      // } catch (emailError) {
-      //     console.error(`Failed to send status update email for Order ${order._id}:`, emailError);
-      // }
+      order.shipment.set(readShipmentFields(req.body));
+      await order.save();
 
       res.json({
         status: "success",
-        data: { order },
+        data: { shipment: order.shipment },
+      });
+    } catch (error) {
+      if (error.name === "CastError") {
+        return next(
+          new AppError(`Invalid order ID format: ${req.params.id}`, 400),
+        );
+      }
+      next(error);
+    }
+  },
+);
+
+// Add a tracking event to a shipment (Admin only)
+// Body: { status, description?, location?, occurredAt? }
+router.post(
+  "/:id/shipment/events",
+  protect,
+  restrictTo("admin"),
+  async (req, res, next) => {
+    try {
+      const { status, description, location, occurredAt } = req.body;
+      if (!status) {
+        return next(
+          new AppError("Please provide a status for the tracking event.", 400),
+        );
+      }
+
+      const order = await Order.findById(req.params.id);
+      if (!order) {
+        return next(new AppError("No order found with that ID", 404));
+      }
+
+      // Throws 409 if the order has no shipment yet
+      const event = order.addTrackingEvent({
+        status,
+        description,
+        location,
+        occurredAt,
+        recordedBy: req.user._id,
+      });
+      await order.save();
+
+      res.status(201).json({
+        status: "success",
+        data: { event, shipment: order.shipment },
+      });
+    } catch (error) {
+      if (error.name === "CastError") {
+        return next(
+          new AppError(`Invalid order ID format: ${req.params.id}`, 400),
+        );
+      }
+      next(error);
+    }
+  },
+);
+
+// Refund (part of) an online payment, e.g. to retry a failed refund (Admin only).
+// Send merchantTransactionId to refund a superseded attempt that was paid late.
+router.post(
+  "/:id/refunds",
+  protect,
+  restrictTo("admin"),
+  async (req, res, next) => {
+    try {
+      const order = await Order.findById(req.params.id);
+      if (!order) {
+        return next(new AppError("No order found with that ID", 404));
+      }
+
+      let attempt;
+      if (req.body.merchantTransactionId) {
+        attempt = findLatePaidAttempt(order, req.body.merchantTransactionId);
+        if (!attempt) {
+          return next(
+            new AppError(
+              "No payment attempt that was paid late has that merchantTransactionId.",
+              404,
+            ),
+          );
+        }
+      }
+
+      const amount =
+        req.body.amount !== undefined
+          ? Number(req.body.amount)
+          : refundableAmount(order, attempt);
+      const refund = await refundOrderPayment(order, {
+        amount,
+        reason: attempt ? "duplicate_payment" : "manual",
+        initiatedBy: req.user._id,
+        attempt,
+      });
+
+      res.status(201).json({
+        status: "success",
+        data: { refund, paymentStatus: order.paymentStatus },
       });
     } catch (error) {
       if (error.name === "CastError") {
@@ -1,71 +1,82 @@
 // routes/payment.js
 import express from "express";
-import { Buffer } from "buffer";
+import mongoose from "mongoose";
 import Order from "../models/order.js";
+import PaymentTransaction from "../models/paymentTransaction.js";
+import { protect, restrictTo } from "../middleware/auth.js";
 import AppError from "../utils/appError.js";
-import { verifyChecksum } from "../utils/phonepe.js";
-import {
-  sendOrderConfirmation,
-  sendOrderNotificationToAdmin,
-} from "../utils/email.js";
+import { getGateway } from "../utils/gateways/index.js";
+import { recordPaymentTransaction } from "../utils/paymentLedger.js";
+import { applyRefundResult } from "../utils/refunds.js";
+import { applyPaymentResult } from "../utils/paymentResults.js";
 
 const router = express.Router();
 
-// PhonePe Server-to-Server Callback Handler
-router.post("/phonepe-callback", async (req, res) => {
-  // Note: Not calling next() here usually
+// Looks up the adapter named in the URL; unknown names and gateways that
+// are switched off here (e.g. the mock in production) get a plain 404
+const resolveGateway = (name, res) => {
+  let gateway;
   try {
-    console.log(`Received PhonePe Callback at ${new Date().toISOString()}`);
-    // console.log("Callback Headers:", JSON.stringify(req.headers)); // Log headers for debugging checksum issues
-    // console.log("Callback Body:", JSON.stringify(req.body));
+    gateway = getGateway(name);
+  } catch {
+    gateway = null;
+  }
+  if (!gateway?.isConfigured()) {
+    res.status(404).send("Unknown payment gateway");
+    return null;
+  }
+  return gateway;
+};
 
-    const encodedResponse = req.body.response; // PhonePe sends base64 encoded JSON in 'response' field
-    if (!encodedResponse) {
-      console.error(
-        "PhonePe Callback Error: Missing 'response' field in body.",
-      );
-      return res.status(400).send("Invalid callback: Missing response payload");
-    }
+// Gateway that handled this merchantTransactionId: the current attempt's or
+// that of an earlier attempt
+const gatewayForTransaction = (order, merchantTransactionId) => {
+  if (order.merchantTransactionId === merchantTransactionId) {
+    return order.paymentGateway;
+  }
+  return order.paymentAttempts.find(
+    (attempt) => attempt.merchantTransactionId === merchantTransactionId,
+  )?.paymentGateway;
+};
 
-    // 1. Verify Checksum
-    const receivedChecksum = req.headers["x-verify"];
-    if (!receivedChecksum) {
-      console.error("PhonePe Callback Error: Missing 'x-verify' header.");
-      return res
-        .status(400)
-        .send("Invalid callback: Missing verification header");
-    }
+// Callbacks that fail verification are archived as received, unlinked
+const recordRejectedCallback = (gateway, type, req, reason) =>
+  recordPaymentTransaction({
+    gateway: gateway.name,
+    type,
+    checksumVerified: false,
+    message: reason,
+    raw: { headers: req.headers, body: req.body },
+  });
 
-    const isVerified = verifyChecksum(
-      encodedResponse,
-      receivedChecksum,
-      process.env.PHONEPE_SALT_KEY,
-      process.env.PHONEPE_SALT_INDEX,
+// Server-to-Server payment callback handler for the given gateway
+const paymentCallbackHandler = (fixedGateway) => async (req, res) => {
+  // Note: Not calling next() here usually
+  try {
+    const gateway = resolveGateway(fixedGateway || req.params.gateway, res);
+    if (!gateway) return;
+    console.log(
+      `Received ${gateway.label} Callback at ${new Date().toISOString()}`,
     );
 
-    if (!isVerified) {
-      console.error("PhonePe Callback Error: Checksum verification failed!");
-      // Respond directly to PhonePe - DO NOT PROCESS
-      return res.status(400).send("Checksum mismatch");
+    // 1. Verify the signature and decode the payload
+    const { verified, reason, result } = gateway.verifyCallback(req);
+    if (!verified) {
+      console.error(`${gateway.label} Callback Error: ${reason}`);
+      await recordRejectedCallback(gateway, "callback", req, reason);
+      // Respond directly to the gateway - DO NOT PROCESS
+      return res.status(400).send(reason);
     }
-    console.log("PhonePe Callback Checksum VERIFIED.");
-
-    // 2. Decode Payload
-    const decodedResponse = JSON.parse(
-      Buffer.from(encodedResponse, "base64").toString("utf8"),
+    console.log(
+      `Verified ${gateway.label} Callback:`,
+      JSON.stringify(result.raw),
     );
-    console.log("Decoded PhonePe Callback:", JSON.stringify(decodedResponse));
-
-    // 3. Extract Key Information
-    const { success, code, message, data } = decodedResponse;
-    const merchantTransactionId = data?.merchantTransactionId;
-    const gatewayTransactionId = data?.transactionId; // PhonePe's ID
-    const paymentState = data?.state; // e.g., COMPLETED, FAILED
-    const responseCode = data?.responseCode; // e.g., SUCCESS, PAYMENT_ERROR
 
+    // 2. Extract Key Information
+    const { merchantTransactionId } = result;
     if (!merchantTransactionId) {
       console.error(
-        "PhonePe Callback Error: Missing 'merchantTransactionId' in decoded data.",
+        `${gateway.label} Callback Error: Missing 'merchantTransactionId' in decoded data.`,
       );
       // Acknowledge receipt but log error - might be a test callback or issue
       return res
@@ -73,106 +84,193 @@ router.post("/phonepe-callback", async (req, res) => {
         .send("Callback acknowledged, missing merchant transaction ID.");
     }
 
-    // 4. Find Order
+    // 3. Find Order
+    // Earlier attempts of a retried payment still belong to their order
     const order = await Order.findOne({
-      merchantTransactionId: merchantTransactionId,
+      $or: [
+        { merchantTransactionId: merchantTransactionId },
+        { "paymentAttempts.merchantTransactionId": merchantTransactionId },
+      ],
     });
 
     if (!order) {
+      await recordPaymentTransaction({
+        gateway: gateway.name,
+        type: "callback",
+        checksumVerified: true,
+        result,
+      });
       console.error(
-        `PhonePe Callback Warning: Order not found for merchantTransactionId: ${merchantTransactionId}. Acknowledging.`,
+        `${gateway.label} Callback Warning: Order not found for merchantTransactionId: ${merchantTransactionId}. Acknowledging.`,
       );
-      // Acknowledge receipt to stop PhonePe retries, but log this issue.
+      // Acknowledge receipt to stop gateway retries, but log this issue.
       return res.status(200).send("Order not found, acknowledged.");
     }
 
-    // 5. Idempotency Check: Avoid reprocessing
-    // Check if payment already marked as paid or failed definitively
-    if (order.paymentStatus === "paid" || order.paymentStatus === "failed") {
-      console.log(
-        `Order ${order._id} (MTID: ${merchantTransactionId}) already processed with status ${order.paymentStatus}. Ignoring callback.`,
+    // A gateway may only settle payments it was asked to take
+    const expectedGateway = gatewayForTransaction(order, merchantTransactionId);
+    if (expectedGateway !== gateway.name) {
+      const reason = `Transaction ${merchantTransactionId} belongs to ${expectedGateway}, not ${gateway.name}`;
+      console.error(`${gateway.label} Callback Error: ${reason}`);
+      await recordRejectedCallback(gateway, "callback", req, reason);
+      return res.status(400).send("Gateway mismatch");
+    }
+
+    await recordPaymentTransaction({
+      order: order._id,
+      gateway: gateway.name,
+      type: "callback",
+      checksumVerified: true,
+      result,
+    });
+
+    // 4. Update Order Based on the result (skips already-settled payments)
+    await applyPaymentResult(order, result, { source: "callback" });
+
+    // 5. Respond to the gateway
+    // Always send 200 OK if callback was received and processed (even if payment failed)
+    // to prevent the gateway from retrying unnecessarily.
+    res.status(200).send("Callback processed successfully.");
+  } catch (error) {
+    console.error("CRITICAL Error processing payment callback:", error);
+    // Send 500 only for unexpected server errors during processing
+    res.status(500).send("Internal Server Error processing callback.");
+  }
+};
+
+// Refund callback handler for the given gateway
+const refundCallbackHandler = (fixedGateway) => async (req, res) => {
+  try {
+    const gateway = resolveGateway(fixedGateway || req.params.gateway, res);
+    if (!gateway) return;
+    console.log(
+      `Received ${gateway.label} Refund Callback at ${new Date().toISOString()}`,
+    );
+
+    const { verified, reason, result } = gateway.verifyCallback(req);
+    if (!verified) {
+      console.error(`${gateway.label} Refund Callback Error: ${reason}`);
+      await recordRejectedCallback(gateway, "refund_callback", req, reason);
+      return res.status(400).send(reason);
+    }
+    console.log(
+      `Verified ${gateway.label} Refund Callback:`,
+      JSON.stringify(result.raw),
+    );
+
+    const merchantRefundId = result.merchantTransactionId; // Our refund ID
+    if (!merchantRefundId) {
+      return res
+        .status(200)
+        .send("Callback acknowledged, missing merchant transaction ID.");
+    }
+
+    const order = await Order.findOne({
+      "refunds.merchantRefundId": merchantRefundId,
+    });
+    const refund = order?.refunds.find(
+      (r) => r.merchantRefundId === merchantRefundId,
+    );
+    // Refunds are sent through the gateway that took the payment; only it may
+    // settle them
+    const expectedGateway =
+      refund &&
+      gatewayForTransaction(
+        order,
+        refund.originalTransactionId || order.merchantTransactionId,
+      );
+    if (refund && expectedGateway !== gateway.name) {
+      const reason = `Refund ${merchantRefundId} belongs to ${expectedGateway}, not ${gateway.name}`;
+      console.error(`${gateway.label} Refund Callback Error: ${reason}`);
+      await recordRejectedCallback(gateway, "refund_callback", req, reason);
+      return res.status(400).send("Gateway mismatch");
+    }
+
+    await recordPaymentTransaction({
+      order: order?._id,
+      gateway: gateway.name,
+      type: "refund_callback",
+      merchantTransactionId: order?.merchantTransactionId ?? null,
+      merchantRefundId,
+      checksumVerified: true,
+      result,
+    });
+    if (!refund) {
+      console.error(
+        `${gateway.label} Refund Callback Warning: No refund found for ${merchantRefundId}. Acknowledging.`,
       );
-      return res.status(200).send("Already processed.");
+      return res.status(200).send("Refund not found, acknowledged.");
     }
 
-    // 6. Update Order Based on Response Code/State
-    let sendEmails = false;
-    if (
-      success &&
-      code === "PAYMENT_SUCCESS" &&
-      paymentState === "COMPLETED" &&
-      responseCode === "SUCCESS"
-    ) {
+    // Completed and failed refunds are final; repeated callbacks change nothing
+    const updated = applyRefundResult(order, refund, result);
+    if (updated) {
+      await order.save();
       console.log(
-        `Payment SUCCESS for Order ${order._id} (MTID: ${merchantTransactionId})`,
+        `Refund ${merchantRefundId} for Order ${order._id} is now ${refund.state}; payment ${order.paymentStatus}.`,
       );
+    }
 
-      const paymentAmount = data?.amount / 100; // Amount in Rupees
+    res.status(200).send("Refund callback processed successfully.");
+  } catch (error) {
+    console.error("CRITICAL Error processing refund callback:", error);
+    res.status(500).send("Internal Server Error processing callback.");
+  }
+};
 
-      // Optional: Amount verification
-      if (paymentAmount !== order.total) {
-        console.warn(
-          `Amount Mismatch for Order ${order._id}. Expected ${order.total}, received ${paymentAmount}. Flagging.`,
+// Payment ledger for an order or a merchant transaction ID (Admin only)
+router.get(
+  "/transactions",
+  protect,
+  restrictTo("admin"),
+  async (req, res, next) => {
+    try {
+      const { orderId, merchantTransactionId } = req.query;
+      if (!orderId && !merchantTransactionId) {
+        return next(
+          new AppError(
+            "Please provide an orderId or merchantTransactionId.",
+            400,
+          ),
         );
-        order.status = "payment_issue";
-        order.paymentStatus = "paid"; // It was paid, but amount is wrong
-      } else {
-        order.status = "processing"; // Move to fulfillment
-        order.paymentStatus = "paid";
       }
-      order.gatewayTransactionId = gatewayTransactionId;
-      await order.save();
-      sendEmails = true; // Mark to send emails after saving
-    } else {
-      // Handle various failure/pending scenarios based on PhonePe codes
-      console.warn(
-        `Payment FAILED or PENDING for Order ${order._id} (MTID: ${merchantTransactionId}). Code: ${code}, State: ${paymentState}, ResponseCode: ${responseCode}, Message: ${message}`,
-      );
-      order.status = "payment_failed"; // Or 'cancelled' or keep 'payment_pending' depending on code
-      order.paymentStatus = "failed";
-      order.gatewayTransactionId = gatewayTransactionId; // Store ID even on failure
-      await order.save();
-      // Optional: Send failure email to user?
-    }
 
-    // 7. Send Emails (only on first successful processing)
-    if (sendEmails) {
-      try {
-        // Populate details needed for email templates
-        const populatedOrder = await Order.findById(order._id).populate([
-          { path: "userId", select: "email name" },
-          { path: "items.productId", select: "name image" },
-        ]);
-
-        if (populatedOrder) {
-          await Promise.allSettled([
-            sendOrderConfirmation(populatedOrder.userId.email, populatedOrder),
-            sendOrderNotificationToAdmin(populatedOrder),
-          ]);
-          console.log(`Emails queued for successful order ${order._id}`);
-        } else {
-          console.error(
-            `Failed to re-populate order ${order._id} for sending emails.`,
-          );
+      const filter = {};
+      if (orderId) {
+        if (!mongoose.isValidObjectId(orderId)) {
+          return next(new AppError("Invalid order ID.", 400));
         }
-      } catch (emailError) {
-        console.error(
-          `Error sending emails for Order ${order._id} after successful payment:`,
-          emailError,
-        );
-        // Log error, but don't fail the callback response
+        filter.order = orderId;
       }
+      if (merchantTransactionId) {
+        // Refund IDs are accepted too
+        filter.$or = [
+          { merchantTransactionId: String(merchantTransactionId) },
+          { merchantRefundId: String(merchantTransactionId) },
+        ];
+      }
+
+      const transactions = await PaymentTransaction.find(filter).sort({
+        createdAt: 1,
+      });
+
+      res.json({
+        status: "success",
+        results: transactions.length,
+        data: { transactions },
+      });
+    } catch (error) {
+      next(error);
     }
+  },
+);
 
-    // 8. Respond to PhonePe
-    // Always send 200 OK if callback was received and processed (even if payment failed)
-    // to prevent PhonePe from retrying unnecessarily.
-    res.status(200).send("Callback processed successfully.");
-  } catch (error) {
-    console.error("CRITICAL Error processing PhonePe callback:", error);
-    // Send 500 only for unexpected server errors during processing
-    res.status(500).send("Internal Server Error processing callback.");
-  }
-});
+// PhonePe keeps its original callback URLs
+router.post("/phonepe-callback", paymentCallbackHandler("phonepe"));
+router.post("/phonepe-refund-callback", refundCallbackHandler("phonepe"));
+
+// Any registered gateway, e.g. /api/payments/mock/callback
+router.post("/:gateway/callback", paymentCallbackHandler());
+router.post("/:gateway/refund-callback", refundCallbackHandler());
 
 export default router;
@@ -0,0 +1,310 @@
+// routes/phonepeSimulator.js
+import express from "express";
+import crypto from "crypto";
+import axios from "axios";
+import { Buffer } from "buffer";
+
+/**
+ * A local stand-in for PhonePe's PG v1 API, for development only. Point the
+ * app at it with:
+ *
+ *   PHONEPE_PAY_API_URL    = http://localhost:5000/api/dev/phonepe/pg/v1/pay
+ *   PHONEPE_STATUS_API_URL = http://localhost:5000/api/dev/phonepe/pg/v1/status
+ *   PHONEPE_REFUND_API_URL = http://localhost:5000/api/dev/phonepe/pg/v1/refund
+ *   PHONEPE_CALLBACK_URL   = http://localhost:5000/api/payments/phonepe-callback
+ *
+ * Checksums are computed here from PhonePe's documented formats rather than
+ * with utils/phonepe.js, so a bug in calculateChecksum or verifyChecksum
+ * shows up as a rejected request or callback instead of passing silently.
+ */
+
+const router = express.Router();
+
+const transactions = new Map(); // merchantTransactionId -> transaction
+const refunds = new Map(); // merchantRefundId -> refund
+
+const saltKey = () => process.env.PHONEPE_SALT_KEY;
+const saltIndex = () => process.env.PHONEPE_SALT_INDEX;
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+// Requests: sha256(base64 payload + API path + salt key) ### salt index
+const requestChecksum = (payloadBase64, apiPath) =>
+  `${sha256(payloadBase64 + apiPath + saltKey())}###${saltIndex()}`;
+
+// Callbacks: sha256(base64 response + salt key) ### salt index
+const callbackChecksum = (responseBase64) =>
+  `${sha256(responseBase64 + saltKey())}###${saltIndex()}`;
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64");
+const decode = (value) =>
+  JSON.parse(Buffer.from(value, "base64").toString("utf8"));
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char],
+  );
+
+// PhonePe answers errors with the same envelope as successes
+const sendError = (res, statusCode, code, message) =>
+  res.status(statusCode).json({ success: false, code, message, data: {} });
+
+// Rejects requests whose X-VERIFY doesn't match; returns the decoded payload
+const verifySignedRequest = (req, res, apiPath) => {
+  const payloadBase64 = req.body?.request;
+  const received = req.headers["x-verify"];
+  if (!payloadBase64 || !received) {
+    sendError(res, 400, "BAD_REQUEST", "Missing request payload or X-VERIFY");
+    return null;
+  }
+  const expected = requestChecksum(payloadBase64, apiPath);
+  if (received !== expected) {
+    console.error(
+      `PhonePe simulator: X-VERIFY mismatch on ${apiPath}. Expected ${expected}, received ${received}`,
+    );
+    sendError(res, 400, "KEY_NOT_CONFIGURED", "Key not configured properly");
+    return null;
+  }
+  const payload = decode(payloadBase64);
+  if (payload.merchantId !== process.env.PHONEPE_MERCHANT_ID) {
+    sendError(res, 400, "INVALID_MERCHANT", "Unknown merchantId");
+    return null;
+  }
+  return payload;
+};
+
+// The body PhonePe uses for callbacks and status checks
+const transactionResponse = (transaction) => {
+  const codes = {
+    COMPLETED: ["PAYMENT_SUCCESS", "SUCCESS", "Your payment is successful."],
+    FAILED: ["PAYMENT_ERROR", "PAYMENT_DECLINED", "Payment Failed"],
+    PENDING: ["PAYMENT_PENDING", "PENDING", "Your payment is in progress."],
+  };
+  const [code, responseCode, message] = codes[transaction.state];
+  return {
+    success: transaction.state === "COMPLETED",
+    code,
+    message,
+    data: {
+      merchantId: transaction.merchantId,
+      merchantTransactionId: transaction.merchantTransactionId,
+      transactionId: transaction.transactionId,
+      amount: transaction.amount, // Paise
+      state: transaction.state,
+      responseCode,
+      paymentInstrument: { type: "UPI" },
+    },
+  };
+};
+
+// Posts a signed server-to-server callback, the way PhonePe does
+const sendCallback = async (callbackUrl, body) => {
+  const response = encode(body);
+  try {
+    await axios.post(
+      callbackUrl,
+      { response },
+      { headers: { "X-VERIFY": callbackChecksum(response) } },
+    );
+    console.log(`PhonePe simulator: callback delivered to ${callbackUrl}`);
+  } catch (error) {
+    console.error(
+      `PhonePe simulator: callback to ${callbackUrl} failed:`,
+      error.response?.status || error.message,
+      error.response?.data || "",
+    );
+  }
+};
+
+// Pay API: registers the transaction and hands back the pay page URL
+router.post("/pg/v1/pay", (req, res) => {
+  const payload = verifySignedRequest(req, res, "/pg/v1/pay");
+  if (!payload) return;
+
+  const { merchantTransactionId, amount } = payload;
+  if (!merchantTransactionId || !Number.isInteger(amount) || amount < 100) {
+    return sendError(res, 400, "BAD_REQUEST", "Invalid transaction or amount");
+  }
+  if (transactions.has(merchantTransactionId)) {
+    return sendError(
+      res,
+      400,
+      "DUPLICATE_TRANSACTION",
+      "Transaction ID already used",
+    );
+  }
+
+  transactions.set(merchantTransactionId, {
+    merchantId: payload.merchantId,
+    merchantTransactionId,
+    transactionId: `SIM${Date.now()}${crypto.randomInt(1000, 9999)}`,
+    amount,
+    state: "PENDING",
+    redirectUrl: payload.redirectUrl,
+    callbackUrl:
+      payload.callbackUrl ||
+      `${req.protocol}://${req.get("host")}/api/payments/phonepe-callback`,
+  });
+
+  const payPageUrl = `${req.protocol}://${req.get("host")}${req.baseUrl}/pay/${merchantTransactionId}`;
+  res.json({
+    success: true,
+    code: "PAYMENT_INITIATED",
+    message: "Payment initiated",
+    data: {
+      merchantId: payload.merchantId,
+      merchantTransactionId,
+      instrumentResponse: {
+        type: "PAY_PAGE",
+        redirectInfo: { url: payPageUrl, method: "GET" },
+      },
+    },
+  });
+});
+
+// Fake pay page with approve and decline buttons
+router.get("/pay/:mtid", (req, res) => {
+  const transaction = transactions.get(req.params.mtid);
+  if (!transaction) {
+    return res.status(404).send("Unknown transaction");
+  }
+
+  const mtid = escapeHtml(transaction.merchantTransactionId);
+  const amount = (transaction.amount / 100).toFixed(2);
+  const settled =
+    transaction.state === "PENDING"
+      ? ""
+      : `<p><strong>Already ${escapeHtml(transaction.state)}</strong></p>`;
+  res.send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>PhonePe Simulator</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 420px; margin: 40px auto; text-align: center;">
+    <h2 style="color: #5f259f;">PhonePe Simulator</h2>
+    <p>Transaction ${mtid}</p>
+    <p style="font-size: 28px;">₹${amount}</p>
+    ${settled}
+    <form method="POST" action="${mtid}/approve" style="display: inline;">
+      <button type="submit" style="padding: 10px 24px;">Approve</button>
+    </form>
+    <form method="POST" action="${mtid}/decline" style="display: inline;">
+      <button type="submit" style="padding: 10px 24px;">Decline</button>
+    </form>
+  </body>
+</html>`);
+});
+
+// Settles the payment, sends the callback, then returns the customer to the shop
+router.post("/pay/:mtid/:decision", async (req, res) => {
+  const transaction = transactions.get(req.params.mtid);
+  if (!transaction) {
+    return res.status(404).send("Unknown transaction");
+  }
+  if (!["approve", "decline"].includes(req.params.decision)) {
+    return res.status(400).send("Decision must be approve or decline");
+  }
+
+  if (transaction.state === "PENDING") {
+    transaction.state =
+      req.params.decision === "approve" ? "COMPLETED" : "FAILED";
+    await sendCallback(
+      transaction.callbackUrl,
+      transactionResponse(transaction),
+    );
+  }
+
+  // PhonePe posts a form to redirectUrl; a GET is enough locally. A meta
+  // refresh rather than a 303, since helmet's CSP (form-action 'self') would
+  // block a cross-origin redirect after the form post.
+  const state = escapeHtml(transaction.state);
+  if (!transaction.redirectUrl) {
+    return res.send(`Payment ${state}`);
+  }
+  const redirectUrl = escapeHtml(transaction.redirectUrl);
+  res.send(`<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><meta http-equiv="refresh" content="0;url=${redirectUrl}"></head>
+  <body>Payment ${state}. <a href="${redirectUrl}">Return to the shop</a></body>
+</html>`);
+});
+
+// Status API: the checksum covers only the path
+router.get("/pg/v1/status/:merchantId/:mtid", (req, res) => {
+  const { merchantId, mtid } = req.params;
+  const apiPath = `/pg/v1/status/${merchantId}/${mtid}`;
+  if (req.headers["x-verify"] !== requestChecksum("", apiPath)) {
+    return sendError(
+      res,
+      400,
+      "KEY_NOT_CONFIGURED",
+      "Key not configured properly",
+    );
+  }
+  if (req.headers["x-merchant-id"] !== merchantId) {
+    return sendError(res, 400, "BAD_REQUEST", "X-MERCHANT-ID mismatch");
+  }
+
+  const transaction = transactions.get(mtid) || refunds.get(mtid);
+  if (!transaction || transaction.merchantId !== merchantId) {
+    return sendError(res, 404, "TRANSACTION_NOT_FOUND", "No Transaction found");
+  }
+  res.json(transactionResponse(transaction));
+});
+
+// Refund API: refunds of a completed payment succeed straight away
+router.post("/pg/v1/refund", async (req, res) => {
+  const payload = verifySignedRequest(req, res, "/pg/v1/refund");
+  if (!payload) return;
+
+  // originalTransactionId is the payment's merchantTransactionId, as in PhonePe
+  const original = transactions.get(payload.originalTransactionId);
+  if (
+    !original ||
+    original.merchantId !== payload.merchantId ||
+    original.state !== "COMPLETED"
+  ) {
+    return sendError(
+      res,
+      400,
+      "TRANSACTION_NOT_FOUND",
+      "Original transaction not found or not completed",
+    );
+  }
+  const alreadyRefunded = [...refunds.values()]
+    .filter((r) => r.originalTransactionId === payload.originalTransactionId)
+    .reduce((sum, r) => sum + r.amount, 0);
+  if (payload.amount + alreadyRefunded > original.amount) {
+    return sendError(
+      res,
+      400,
+      "REFUND_AMOUNT_EXCEEDED",
+      "Refund amount exceeds the payment",
+    );
+  }
+
+  const refund = {
+    merchantId: payload.merchantId,
+    merchantTransactionId: payload.merchantTransactionId,
+    originalTransactionId: payload.originalTransactionId,
+    transactionId: `SIMR${Date.now()}${crypto.randomInt(1000, 9999)}`,
+    amount: payload.amount,
+    state: "COMPLETED",
+  };
+  refunds.set(refund.merchantTransactionId, refund);
+
+  const body = transactionResponse(refund);
+  res.json(body);
+  if (payload.callbackUrl) {
+    await sendCallback(payload.callbackUrl, body);
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+import express from "express";
+import Pincode from "../models/pincode.js";
+import { protect, restrictTo } from "../middleware/auth.js";
+import AppError from "../utils/appError.js";
+import {
+  isValidPincode,
+  findPincode,
+  importPincodeCsv,
+} from "../utils/pincodeDirectory.js";
+
+const router = express.Router();
+
+// Autofill city, district and state for a pincode, and say whether we deliver there
+router.get("/:pincode", async (req, res, next) => {
+  try {
+    const { pincode } = req.params;
+    if (!isValidPincode(pincode)) {
+      return next(new AppError("Please enter a valid 6-digit pincode.", 400));
+    }
+    const entry = await findPincode(pincode);
+    if (!entry) {
+      return next(new AppError(`Pincode ${pincode} was not found.`, 404));
+    }
+    res.json({
+      status: "success",
+      data: {
+        pincode: entry.pincode,
+        city: entry.city,
+        district: entry.district,
+        state: entry.state,
+        deliverable: entry.deliverable,
+        codAvailable: entry.deliverable && entry.codAvailable,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Admin ---
+router.use(protect, restrictTo("admin"));
+
+// List directory entries (Admin only), optionally by ?state=&district=&deliverable=
+router.get("/", async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.state) filter.state = String(req.query.state);
+    if (req.query.district) filter.district = String(req.query.district);
+    if (req.query.deliverable !== undefined) {
+      filter.deliverable = req.query.deliverable === "true";
+    }
+    const page = Math.max(Number.parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 100, 500);
+
+    const [pincodes, total] = await Promise.all([
+      Pincode.find(filter)
+        .sort({ pincode: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Pincode.countDocuments(filter),
+    ]);
+    res.json({
+      status: "success",
+      results: pincodes.length,
+      total,
+      data: { pincodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bulk import from a CSV file sent as the request body (Admin only)
+// Content-Type: text/csv. See importPincodeCsv for the columns.
+router.post(
+  "/import",
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  async (req, res, next) => {
+    try {
+      if (typeof req.body !== "string") {
+        return next(
+          new AppError(
+            "Please send the CSV file with Content-Type text/csv.",
+            400,
+          ),
+        );
+      }
+      const summary = await importPincodeCsv(req.body);
+      console.log(
+        `Pincode import by ${req.user.email}:`,
+        JSON.stringify({ ...summary, errors: undefined }),
+      );
+      res.json({
+        status: "success",
+        data: summary,
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+);
+
+// Update one entry, e.g. to stop delivering or offering COD there (Admin only)
+router.patch("/:pincode", async (req, res, next) => {
+  try {
+    const updates = {};
+    for (const field of ["city", "deliverable", "codAvailable"]) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    const entry = await Pincode.findOneAndUpdate(
+      { pincode: req.params.pincode },
+      updates,
+      { new: true, runValidators: true },
+    );
+    if (!entry) {
+      return next(
+        new AppError("No directory entry found for that pincode", 404),
+      );
+    }
+    res.json({
+      status: "success",
+      data: { pincode: entry },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
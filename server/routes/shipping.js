@@ -0,0 +1,130 @@
+import express from "express";
+import ShippingRule from "../models/shippingRule.js";
+import { protect, restrictTo } from "../middleware/auth.js";
+import AppError from "../utils/appError.js";
+import { priceOrderItems, roundCurrency } from "../utils/pricing.js";
+
+const router = express.Router();
+
+// Shipping charge for items sent to a pincode (public, no login needed)
+// Body: { pincode, district?, state?, items: [{ productId, variantId?, quantity }] }
+router.post("/quote", async (req, res, next) => {
+  try {
+    const { pincode, district, state, items } = req.body;
+    if (!pincode) {
+      return next(new AppError("Please provide a pincode.", 400));
+    }
+
+    const pricing = await priceOrderItems(items, {
+      shippingAddress: { pincode, district, state },
+    });
+    const rule = pricing.shippingRule;
+    const freeShippingAbove = rule?.freeShippingAbove;
+
+    res.json({
+      status: "success",
+      data: {
+        pincode: String(pincode).trim(),
+        weightGrams: pricing.weightGrams,
+        subtotal: pricing.subtotal,
+        shippingCharge: pricing.shippingCharge,
+        rule: rule && {
+          name: rule.name,
+          matchType: rule.matchType,
+          value: rule.value,
+        },
+        freeShippingAbove,
+        // How much more to add to the cart for free shipping, if that's possible
+        amountToFreeShipping:
+          freeShippingAbove != null && pricing.shippingCharge > 0
+            ? roundCurrency(Math.max(freeShippingAbove - pricing.subtotal, 0))
+            : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// --- Admin CRUD for shipping rules ---
+router.use(protect, restrictTo("admin"));
+
+// Get all shipping rules (Admin only)
+router.get("/rules", async (req, res, next) => {
+  try {
+    const rules = await ShippingRule.find().sort({ matchType: 1, value: 1 });
+    res.json({
+      status: "success",
+      results: rules.length,
+      data: { rules },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get shipping rule by ID (Admin only)
+router.get("/rules/:id", async (req, res, next) => {
+  try {
+    const rule = await ShippingRule.findById(req.params.id);
+    if (!rule) {
+      return next(new AppError("No shipping rule found with that ID", 404));
+    }
+    res.json({
+      status: "success",
+      data: { rule },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create shipping rule (Admin only)
+router.post("/rules", async (req, res, next) => {
+  try {
+    const rule = await ShippingRule.create(req.body);
+    res.status(201).json({
+      status: "success",
+      data: { rule },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update shipping rule (Admin only)
+router.patch("/rules/:id", async (req, res, next) => {
+  try {
+    const rule = await ShippingRule.findById(req.params.id);
+    if (!rule) {
+      return next(new AppError("No shipping rule found with that ID", 404));
+    }
+    // Saved as a document so the pincode prefix check sees the match type
+    rule.set(req.body);
+    await rule.save();
+    res.json({
+      status: "success",
+      data: { rule },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete shipping rule (Admin only)
+router.delete("/rules/:id", async (req, res, next) => {
+  try {
+    const rule = await ShippingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return next(new AppError("No shipping rule found with that ID", 404));
+    }
+    res.status(204).json({
+      status: "success",
+      data: null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+// scripts/backfillProductStock.js
+//
+// One-off migration for stock tracking. Products and pack sizes created
+// before `stock` existed have no stock field, so reserveStock never matches
+// them and they show as out of stock. This gives every product and variant
+// without one the stock you pass; ones that already have stock are left
+// alone. Correct the real counts from the admin afterwards.
+//
+//   cd server && node scripts/backfillProductStock.js --stock=100
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Product from "../models/product.js";
+
+dotenv.config();
+
+const readStockArgument = () => {
+  const arg = process.argv.find((value) => value.startsWith("--stock="));
+  const stock = Number(arg?.slice("--stock=".length));
+  if (!arg || !Number.isInteger(stock) || stock < 0) {
+    console.error(
+      "Usage: node scripts/backfillProductStock.js --stock=<whole number of units>",
+    );
+    process.exit(1);
+  }
+  return stock;
+};
+
+const backfill = async (stock) => {
+  // Raw collection updates: the schema default would hide the missing field
+  const products = await Product.collection.updateMany(
+    { stock: { $exists: false } },
+    { $set: { stock } },
+  );
+  const variants = await Product.collection.updateMany(
+    { variants: { $elemMatch: { stock: { $exists: false } } } },
+    { $set: { "variants.$[variant].stock": stock } },
+    { arrayFilters: [{ "variant.stock": { $exists: false } }] },
+  );
+  console.log(
+    `Set stock to ${stock} on ${products.modifiedCount} product(s) and on the pack sizes of ${variants.modifiedCount} product(s).`,
+  );
+};
+
+const stock = readStockArgument();
+mongoose
+  .connect(process.env.MONGODB_URI, { autoIndex: false })
+  .then(() => backfill(stock))
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("Stock backfill failed:", error);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,45 @@
+// scripts/migrateCartUserIndex.js
+//
+// One-off migration for guest carts. Carts used to have a plain unique index
+// on `user`, so only one cart without a user (a guest cart) could exist: the
+// second one fails with E11000 on user: null. Mongoose doesn't rebuild an
+// index whose options changed, so this replaces user_1 with the sparse unique
+// index models/cart.js declares. Safe to run more than once.
+//
+//   cd server && node scripts/migrateCartUserIndex.js
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import Cart from "../models/cart.js";
+
+dotenv.config();
+
+const migrate = async () => {
+  const indexes = await Cart.collection.indexes();
+  const userIndex = indexes.find((index) => index.name === "user_1");
+  if (userIndex?.unique && userIndex.sparse) {
+    console.log(
+      "carts.user_1 is already a sparse unique index. Nothing to do.",
+    );
+    return;
+  }
+
+  if (userIndex) {
+    await Cart.collection.dropIndex("user_1");
+    console.log("Dropped the old carts.user_1 index.");
+  }
+  await Cart.collection.createIndex(
+    { user: 1 },
+    { name: "user_1", unique: true, sparse: true },
+  );
+  console.log("Created carts.user_1 as a sparse unique index.");
+};
+
+mongoose
+  .connect(process.env.MONGODB_URI, { autoIndex: false })
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error("Cart index migration failed:", error);
+    await mongoose.disconnect();
+    process.exitCode = 1;
+  });
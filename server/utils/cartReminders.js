@@ -0,0 +1,52 @@
+// utils/cartReminders.js
+import jwt from "jsonwebtoken";
+import AppError from "./appError.js";
+
+const UNSUBSCRIBE_PURPOSE = "cart-reminder-unsubscribe";
+// Links in old reminder emails stop working after this
+const UNSUBSCRIBE_LINK_TTL = "90d";
+
+// Public base URL of this API (PUBLIC_API_URL); unsubscribe links point at
+// it, so reminders are only sent when it is set
+export const publicApiUrl = () =>
+  process.env.PUBLIC_API_URL?.trim().replace(/\/+$/, "") || null;
+
+// Signed link target that turns off abandoned cart emails without logging in.
+// The user goes in `sub`, not the `id` claim that protect reads, so the token
+// can't be used to log in. Throws when PUBLIC_API_URL is not set.
+export const buildUnsubscribeUrl = (userId) => {
+  const apiBaseUrl = publicApiUrl();
+  if (!apiBaseUrl) {
+    throw new Error(
+      "PUBLIC_API_URL is not set; cannot build an unsubscribe link.",
+    );
+  }
+  const token = jwt.sign(
+    { purpose: UNSUBSCRIBE_PURPOSE },
+    process.env.JWT_SECRET,
+    {
+      subject: userId.toString(),
+      audience: UNSUBSCRIBE_PURPOSE,
+      expiresIn: UNSUBSCRIBE_LINK_TTL,
+    },
+  );
+  return `${apiBaseUrl}/api/auth/cart-reminders/unsubscribe?token=${token}`;
+};
+
+// Returns the user ID from an unsubscribe link token
+export const verifyUnsubscribeToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token), process.env.JWT_SECRET, {
+      audience: UNSUBSCRIBE_PURPOSE,
+    });
+    if (payload.purpose !== UNSUBSCRIBE_PURPOSE || !payload.sub) {
+      throw new Error();
+    }
+    return payload.sub;
+  } catch {
+    throw new AppError(
+      "This unsubscribe link is invalid or has expired. You can turn off cart reminders in your account settings.",
+      400,
+    );
+  }
+};
@@ -0,0 +1,225 @@
+// utils/checkoutQuote.js
+import jwt from "jsonwebtoken";
+import Cart from "../models/cart.js";
+import Product from "../models/product.js";
+import AppError from "./appError.js";
+import {
+  priceOrderItems,
+  applyCoupon,
+  maxLineQuantity,
+  lineKey,
+} from "./pricing.js";
+
+const quoteSecret = () =>
+  process.env.CHECKOUT_QUOTE_SECRET || process.env.JWT_SECRET;
+
+// How long the prices in a quote can be used to place an order
+const quoteTtlMinutes = () =>
+  Number(process.env.CHECKOUT_QUOTE_TTL_MINUTES) || 30;
+
+/**
+ * Checks saved cart lines against the catalogue. Lines whose product or
+ * pack size no longer exists are returned in `removed`; out-of-stock lines
+ * are left out of the quote but stay in the cart; quantities above stock or
+ * maxLineQuantity are capped. Each problem is reported in `issues`.
+ */
+const reviewCartLines = async (cartItems) => {
+  const products = await Product.find({
+    _id: { $in: cartItems.map((item) => item.productId) },
+  });
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+  const maxQuantity = maxLineQuantity();
+
+  const lines = [];
+  const issues = [];
+  const removed = [];
+  for (const item of cartItems) {
+    const productId = item.productId.toString();
+    const variantId = item.variantId?.toString();
+    const product = productsById.get(productId);
+    if (!product) {
+      issues.push({
+        type: "product_removed",
+        productId,
+        variantId,
+        message: "A product in your cart is no longer sold and was removed.",
+      });
+      removed.push(item);
+      continue;
+    }
+
+    const variant = product.findVariant(variantId);
+    const name = [product.name.en, variant?.sizeLabel]
+      .filter(Boolean)
+      .join(" ");
+    if (product.variants?.length > 0 ? !variant : variantId) {
+      issues.push({
+        type: "variant_unavailable",
+        productId,
+        variantId,
+        message: `The pack size chosen for ${product.name.en} is no longer sold and was removed.`,
+      });
+      removed.push(item);
+      continue;
+    }
+
+    const stock = (variant || product).stock || 0;
+    if (stock <= 0) {
+      issues.push({
+        type: "out_of_stock",
+        productId,
+        variantId,
+        message: `${name} is out of stock.`,
+      });
+      continue;
+    }
+
+    let quantity = item.quantity;
+    const limit = Math.min(stock, maxQuantity);
+    if (quantity > limit) {
+      issues.push({
+        type: "quantity_adjusted",
+        productId,
+        variantId,
+        requested: quantity,
+        quantity: limit,
+        message:
+          limit === stock
+            ? `Only ${stock} unit(s) of ${name} left in stock.`
+            : `You can order at most ${maxQuantity} units of ${name}.`,
+      });
+      quantity = limit;
+    }
+    lines.push({ productId, variantId, quantity, product, variant });
+  }
+  return { lines, issues, removed };
+};
+
+/**
+ * Builds the checkout quote for a user's saved cart: localized product
+ * details, current prices, any coupon discount, shipping and total, plus the
+ * problems found with the cart. Lines for deleted products are dropped from
+ * the cart.
+ *
+ * Shipping is charged for `shippingAddress` ({ pincode, district?, state? })
+ * when given, otherwise by the default shipping rule.
+ *
+ * The quote comes with a signed `quoteToken` holding the items and prices.
+ * Order routes accept it in place of a client-built item list.
+ */
+export const buildCheckoutQuote = async (
+  userId,
+  { couponCode, shippingAddress } = {},
+) => {
+  const cart = await Cart.findOne({ user: userId });
+  const { lines, issues, removed } = await reviewCartLines(cart?.items || []);
+
+  if (removed.length > 0) {
+    cart.items = cart.items.filter((item) => !removed.includes(item));
+    await cart.save();
+  }
+
+  if (lines.length === 0) {
+    return {
+      items: [],
+      issues,
+      subtotal: 0,
+      discount: 0,
+      shippingCharge: 0,
+      total: 0,
+      quoteToken: null,
+    };
+  }
+
+  let pricing = await priceOrderItems(lines, { shippingAddress });
+  let couponError;
+  if (couponCode) {
+    // A coupon that doesn't apply is reported, not fatal, for a quote
+    try {
+      pricing = await applyCoupon(pricing, { couponCode, userId });
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      couponError = error.message;
+    }
+  }
+
+  const linesByKey = new Map(
+    lines.map((line) => [lineKey(line.productId, line.variantId), line]),
+  );
+  const items = pricing.items.map((item) => {
+    const { product, variant } = linesByKey.get(
+      lineKey(item.productId, item.variantId),
+    );
+    return {
+      productId: item.productId,
+      variantId: item.variantId,
+      name: product.name, // { en, mr }
+      image: product.image,
+      sizeLabel: item.sizeLabel,
+      sku: item.sku,
+      availability: (variant || product).availability,
+      quantity: item.quantity,
+      mrp: item.mrp,
+      price: item.price,
+      lineTotal: item.lineTotal,
+    };
+  });
+
+  const { subtotal, discount, shippingCharge, total } = pricing;
+  const ttlMinutes = quoteTtlMinutes();
+  const quoteToken = jwt.sign(
+    {
+      items: items.map(({ productId, variantId, quantity, price }) => ({
+        productId,
+        variantId,
+        quantity,
+        price,
+      })),
+      couponCode: pricing.coupon?.code,
+      subtotal,
+      discount,
+      shippingCharge,
+      total,
+    },
+    quoteSecret(),
+    { subject: userId.toString(), expiresIn: `${ttlMinutes}m` },
+  );
+
+  return {
+    items,
+    issues,
+    coupon: pricing.coupon && {
+      code: pricing.coupon.code,
+      discountType: pricing.coupon.discountType,
+      discountValue: pricing.coupon.discountValue,
+    },
+    couponError,
+    subtotal,
+    discount,
+    shippingCharge,
+    total,
+    quoteToken,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  };
+};
+
+/**
+ * Decodes a quoteToken issued to `userId`. Returns its { items, couponCode,
+ * subtotal, discount, shippingCharge, total }; the caller still prices the
+ * items again and rejects the order if anything changed since.
+ */
+export const verifyQuoteToken = (quoteToken, userId) => {
+  try {
+    return jwt.verify(quoteToken, quoteSecret(), {
+      subject: userId.toString(),
+    });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new AppError(
+        "Your checkout quote has expired. Please review your cart again.",
+        409,
+      );
+    }
+    throw new AppError("Invalid checkout quote.", 400);
+  }
+};
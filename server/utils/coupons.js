@@ -0,0 +1,168 @@
+// utils/coupons.js
+import Coupon from "../models/coupon.js";
+import Order from "../models/order.js";
+import AppError from "./appError.js";
+
+const isRestricted = (coupon) =>
+  coupon.applicableCategories?.length > 0 ||
+  coupon.applicableProducts?.length > 0;
+
+const isEligibleItem = (coupon, item) => {
+  if (!isRestricted(coupon)) return true;
+  const inCategory = coupon.applicableCategories?.includes(item.category);
+  const isListedProduct = coupon.applicableProducts?.some(
+    (productId) => productId.toString() === item.productId.toString(),
+  );
+  return Boolean(inCategory || isListedProduct);
+};
+
+/**
+ * Whether the user has used the coupon perUserLimit times already, counting
+ * orders that hold a redemption. `excludeOrderId` leaves out an order whose
+ * payment is being retried.
+ */
+export const hasReachedPerUserLimit = async (
+  coupon,
+  userId,
+  { excludeOrderId, session } = {},
+) => {
+  if (!coupon.perUserLimit || !userId) return false;
+  const filter = {
+    userId,
+    "coupon.couponId": coupon._id,
+    "coupon.redeemed": true,
+  };
+  if (excludeOrderId) filter._id = { $ne: excludeOrderId };
+  const timesUsed = await Order.countDocuments(filter).session(session || null);
+  return timesUsed >= coupon.perUserLimit;
+};
+
+/**
+ * Checks a coupon code against the current order and returns the discount it
+ * gives. Every rule failure throws a 400 whose message can be shown to the
+ * customer as-is.
+ *
+ * `items` are priced order lines (see priceOrderItems) and need `category`.
+ */
+export const evaluateCoupon = async (code, { userId, items, subtotal }) => {
+  if (!code || typeof code !== "string") {
+    throw new AppError("Please provide a coupon code.", 400);
+  }
+
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    throw new AppError(`Coupon ${code} is not valid.`, 400);
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new AppError(`Coupon ${coupon.code} is not active yet.`, 400);
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw new AppError(`Coupon ${coupon.code} has expired.`, 400);
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw new AppError(
+      `Coupon ${coupon.code} has reached its usage limit.`,
+      400,
+    );
+  }
+  if (subtotal < coupon.minOrderValue) {
+    throw new AppError(
+      `Coupon ${coupon.code} needs a minimum order value of ₹${coupon.minOrderValue}.`,
+      400,
+    );
+  }
+
+  if (await hasReachedPerUserLimit(coupon, userId)) {
+    throw new AppError(
+      `You have already used coupon ${coupon.code} the maximum number of times.`,
+      400,
+    );
+  }
+
+  const eligibleSubtotal = items
+    .filter((item) => isEligibleItem(coupon, item))
+    .reduce((sum, item) => sum + item.lineTotal, 0);
+  if (eligibleSubtotal <= 0) {
+    throw new AppError(
+      `Coupon ${coupon.code} does not apply to any item in your cart.`,
+      400,
+    );
+  }
+
+  let discount =
+    coupon.discountType === "percentage"
+      ? (eligibleSubtotal * coupon.discountValue) / 100
+      : coupon.discountValue;
+  if (coupon.maxDiscountAmount) {
+    discount = Math.min(discount, coupon.maxDiscountAmount);
+  }
+  discount = Math.min(discount, eligibleSubtotal); // Never below zero
+
+  return { coupon, discount, eligibleSubtotal };
+};
+
+/**
+ * Counts one use against the coupon's global limit. The increment only
+ * matches while the limit has not been reached, so concurrent checkouts
+ * cannot overshoot it.
+ *
+ * With `userId` the per-user limit is checked again after the increment.
+ * Inside a transaction the increment holds the coupon until commit, so a
+ * concurrent checkout with the same coupon hits a write conflict, is
+ * retried, and then counts this order. Throws a 409 when the limit is
+ * reached.
+ */
+export const redeemCoupon = async (
+  couponId,
+  { session, userId, excludeOrderId } = {},
+) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session },
+  );
+  if (!coupon) {
+    throw new AppError("This coupon has just reached its usage limit.", 409);
+  }
+  if (
+    await hasReachedPerUserLimit(coupon, userId, { excludeOrderId, session })
+  ) {
+    if (!session) await cancelRedemption(couponId); // Otherwise aborted
+    throw new AppError(
+      `You have already used coupon ${coupon.code} the maximum number of times.`,
+      409,
+    );
+  }
+  return coupon;
+};
+
+// Undoes one redeemCoupon
+const cancelRedemption = async (couponId) => {
+  await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+};
+
+/**
+ * Gives the use back to the coupon when an order is cancelled or its payment
+ * fails. Like releaseOrderStock, the redeemed flag is cleared conditionally
+ * so only one caller decrements.
+ */
+export const releaseCouponRedemption = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, "coupon.redeemed": true },
+    { $set: { "coupon.redeemed": false } },
+  );
+  if (!claimed) return false;
+
+  await cancelRedemption(claimed.coupon.couponId);
+  if (order.coupon) order.coupon.redeemed = false;
+  return true;
+};
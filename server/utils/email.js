@@ -2,6 +2,7 @@ import nodemailer from "nodemailer";
 import { google } from "googleapis";
 import dotenv from "dotenv";
 import { format } from "date-fns";
+import { buildInvoice } from "./invoice.js";
 // Load environment variables
 dotenv.config();
 
@@ -110,6 +111,52 @@ const formatCurrency = (amount) => {
   }).format(amount);
 };
 
+// GST per order line, or "" for orders placed before GST was recorded
+const taxBreakdownTable = (orderDetails) => {
+  const { tax } = orderDetails;
+  if (!tax?.supplyType) return "";
+  const intraState = tax.supplyType === "intra_state";
+  const taxCells = (amounts) =>
+    intraState
+      ? `<td>${formatCurrency(amounts.cgst)}</td><td>${formatCurrency(amounts.sgst)}</td>`
+      : `<td>${formatCurrency(amounts.igst)}</td>`;
+
+  return `
+    <table>
+      <thead>
+        <tr>
+          <th>Product</th>
+          <th>HSN</th>
+          <th>GST Rate</th>
+          <th>Taxable Value</th>
+          ${intraState ? "<th>CGST</th><th>SGST</th>" : "<th>IGST</th>"}
+        </tr>
+      </thead>
+      <tbody>
+        ${orderDetails.items
+          .map(
+            (item) => `
+              <tr>
+                <td>${item.productId?.name.en || "Product Unavailable"}${item.sizeLabel ? ` (${item.sizeLabel})` : ""}</td>
+                <td>${item.hsnCode || "-"}</td>
+                <td>${item.gstRate || 0}%</td>
+                <td>${formatCurrency(item.tax?.taxableValue ?? item.lineTotal)}</td>
+                ${taxCells(item.tax || { cgst: 0, sgst: 0, igst: 0 })}
+              </tr>
+            `,
+          )
+          .join("")}
+        <tr>
+          <td colspan="3"><strong>Total</strong></td>
+          <td><strong>${formatCurrency(tax.taxableValue)}</strong></td>
+          ${taxCells(tax)}
+        </tr>
+      </tbody>
+    </table>
+    <p style="font-size: 0.9em; color: #666;">Prices include GST (${intraState ? "CGST + SGST" : "IGST"}). Shipping is not included above.</p>
+  `;
+};
+
 export const sendOrderConfirmation = async (userEmail, orderDetails) => {
   // --- Placeholders - Replace with your actual data/config ---
   const companyName = "StarFarmer"; // Or your actual company name
@@ -199,6 +246,7 @@ export const sendOrderConfirmation = async (userEmail, orderDetails) => {
                         <tr>
                           <td>
                             <span class="product-name">${productName}</span>
+                            ${item.sizeLabel ? `<div class="product-details">Pack size: ${item.sizeLabel}</div>` : ""}
                             </td>
                           <td>${item.quantity}</td>
                           <td>${formatCurrency(item.price)}</td>
@@ -211,6 +259,15 @@ export const sendOrderConfirmation = async (userEmail, orderDetails) => {
               </table>
             </div>
 
+            ${
+              orderDetails.tax?.supplyType
+                ? `<div class="items-table">
+              <h3 style="margin-bottom: 10px;">Tax Breakdown (GST)</h3>
+              ${taxBreakdownTable(orderDetails)}
+            </div>`
+                : ""
+            }
+
             <div class="shipping-details">
               <h3 style="margin-bottom: 10px;">Shipping Address</h3>
               <p style="margin: 2px 0;"><strong>${orderDetails.shippingAddress.fullName}</strong></p>
@@ -228,6 +285,14 @@ export const sendOrderConfirmation = async (userEmail, orderDetails) => {
                     <td class="label">Subtotal:</td>
                     <td class="value">${formatCurrency(itemsSubtotal)}</td>
                   </tr>
+                  ${
+                    orderDetails.discount > 0
+                      ? `<tr>
+                    <td class="label">Discount${orderDetails.coupon?.code ? ` (${orderDetails.coupon.code})` : ""}:</td>
+                    <td class="value">-${formatCurrency(orderDetails.discount)}</td>
+                  </tr>`
+                      : ""
+                  }
                   <tr>
                     <td class="label">Shipping:</td>
                     <td class="value">${formatCurrency(orderDetails.shippingCharge)}</td>
@@ -236,6 +301,14 @@ export const sendOrderConfirmation = async (userEmail, orderDetails) => {
                     <td class="label"><strong>Grand Total:</strong></td>
                     <td class="value"><strong>${formatCurrency(orderDetails.total)}</strong></td>
                   </tr>
+                  ${
+                    orderDetails.tax?.totalTax > 0
+                      ? `<tr>
+                    <td class="label">Includes GST:</td>
+                    <td class="value">${formatCurrency(orderDetails.tax.totalTax)}</td>
+                  </tr>`
+                      : ""
+                  }
                 </tbody>
               </table>
             </div>
@@ -259,6 +332,19 @@ export const sendOrderConfirmation = async (userEmail, orderDetails) => {
     `,
   };
 
+  // The PDF tax invoice goes along; without it the email is still sent
+  try {
+    const { filename, pdf } = await buildInvoice(orderDetails);
+    mailOptions.attachments = [
+      { filename, content: pdf, contentType: "application/pdf" },
+    ];
+  } catch (error) {
+    console.error(
+      `Could not attach the invoice for order ${orderDetails._id}:`,
+      error,
+    );
+  }
+
   try {
     const transporter = await createTransporter();
     await transporter.sendMail(mailOptions);
@@ -377,12 +463,17 @@ export const sendOrderNotificationToAdmin = async (orderDetails) => {
                     const productName =
                       item.productId?.name.en || "Product Unavailable"; // Safe access
                     const itemSubtotal = item.quantity * item.price;
-                    // Optionally add SKU or Product ID for admin reference
-                    // const productSKU = item.productId?.sku || 'N/A';
+                    const packDetails = [
+                      item.sizeLabel,
+                      item.sku && `SKU: ${item.sku}`,
+                    ]
+                      .filter(Boolean)
+                      .join(" | ");
                     return `
                       <tr>
                         <td>
                           <strong>${productName}</strong>
+                          ${packDetails ? `<br><small>${packDetails}</small>` : ""}
                           </td>
                         <td>${item.quantity}</td>
                         <td>${formatCurrency(item.price)}</td>
@@ -396,11 +487,22 @@ export const sendOrderNotificationToAdmin = async (orderDetails) => {
 
             <div class="totals-summary">
                 <p>Subtotal: ${formatCurrency(itemsSubtotal)}</p>
+                ${orderDetails.discount > 0 ? `<p>Coupon Discount${orderDetails.coupon?.code ? ` (${orderDetails.coupon.code})` : ""}: -${formatCurrency(orderDetails.discount)}</p>` : ""}
                 <p>Shipping Charge: ${formatCurrency(orderDetails.shippingCharge)}</p>
                 <p class="grand-total">Grand Total: ${formatCurrency(orderDetails.total)}</p>
+                ${orderDetails.tax?.totalTax > 0 ? `<p>Includes GST: ${formatCurrency(orderDetails.tax.totalTax)}</p>` : ""}
             </div>
           </div>
 
+          ${
+            orderDetails.tax?.supplyType
+              ? `<div class="section items-table">
+            <h3>Tax Breakdown (GST)</h3>
+            ${taxBreakdownTable(orderDetails)}
+          </div>`
+              : ""
+          }
+
           <div style="text-align: center; margin-top: 25px;">
             <a href="${adminBaseUrl}/orders/${orderDetails._id}" class="admin-link" style="color: #ffffff;">View Order in Admin Panel</a>
           </div>
@@ -435,3 +537,428 @@ export const sendOrderNotificationToAdmin = async (orderDetails) => {
     // Consider more robust error logging/alerting for admin notifications
   }
 };
+
+// --- Cancellation & Return Emails ---
+
+// Shared shell for the shorter order notices below
+const renderNoticeEmail = (heading, contentHtml) => {
+  const companyName = "StarFarmer";
+  const websiteUrl = "https://starfarmer-frontend.onrender.com";
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${heading}</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; margin: 0; padding: 0; background-color: #f4f4f4;">
+      <div style="max-width: 600px; margin: 20px auto; background-color: #ffffff; padding: 20px; border: 1px solid #dddddd; border-radius: 5px;">
+        <h2 style="color: #333333;">${heading}</h2>
+        ${contentHtml}
+        <p style="margin-top: 20px; color: #555555;">You can view your orders anytime at <a href="${websiteUrl}/my-orders" style="color: #28a745;">${websiteUrl}/my-orders</a>.</p>
+        <div style="text-align: center; margin-top: 20px; padding-top: 15px; border-top: 1px solid #eeeeee; font-size: 0.9em; color: #888888;">
+          <p>&copy; ${new Date().getFullYear()} ${companyName}. All rights reserved.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
+// Lists the order items included in a return request
+const renderReturnItems = (orderDetails, returnRequest) => `
+  <ul>
+    ${returnRequest.items
+      .map((returned) => {
+        const orderItem = orderDetails.items.find(
+          (item) => item._id.toString() === returned.itemId.toString(),
+        );
+        const productName =
+          orderItem?.productId?.name?.en || "Product Unavailable";
+        const size = orderItem?.sizeLabel ? ` (${orderItem.sizeLabel})` : "";
+        return `<li>${productName}${size} &times; ${returned.quantity} &mdash; ${formatCurrency(returned.amount)}</li>`;
+      })
+      .join("")}
+  </ul>
+`;
+
+const sendNotice = async (mailOptions, description) => {
+  try {
+    const transporter = await createTransporter();
+    await transporter.sendMail(mailOptions);
+    console.log(`${description} email sent to ${mailOptions.to}`);
+  } catch (error) {
+    console.error(`Error sending ${description} email:`, error);
+  }
+};
+
+export const sendOrderCancellationEmail = async (userEmail, orderDetails) => {
+  const reason = orderDetails.statusHistory?.at(-1)?.note;
+  await sendNotice(
+    {
+      from: `"StarFarmer" <${process.env.EMAIL_FROM}>`,
+      to: userEmail,
+      subject: `Your StarFarmer Order #${orderDetails._id} Has Been Cancelled`,
+      html: renderNoticeEmail(
+        "Your order has been cancelled",
+        `
+          <p>Your order <strong>#${orderDetails._id}</strong> for ${formatCurrency(orderDetails.total)} has been cancelled as requested.</p>
+          ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
+          ${orderDetails.refunds?.some((refund) => refund.state !== "failed") ? "<p>Your payment is being refunded to the original payment method.</p>" : ""}
+        `,
+      ),
+    },
+    `cancellation (order ${orderDetails._id})`,
+  );
+};
+
+export const sendCancellationNotificationToAdmin = async (orderDetails) => {
+  if (!process.env.ADMIN_EMAIL) return;
+  const reason = orderDetails.statusHistory?.at(-1)?.note;
+  await sendNotice(
+    {
+      from: `"StarFarmer System" <${process.env.ADMIN_EMAIL}>`,
+      to: process.env.ADMIN_EMAIL,
+      subject: `[Order Cancelled #${orderDetails._id}] by customer`,
+      html: renderNoticeEmail(
+        "Order cancelled by customer",
+        `
+          <p>Order <strong>#${orderDetails._id}</strong> (${formatCurrency(orderDetails.total)}, ${orderDetails.paymentMethod}) was cancelled by ${orderDetails.userId?.name || "the customer"}.</p>
+          ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ""}
+          <p><strong>Payment status:</strong> ${orderDetails.paymentStatus}</p>
+        `,
+      ),
+    },
+    `admin cancellation notice (order ${orderDetails._id})`,
+  );
+};
+
+// Tells the admin about a payment that needs a look, e.g. a refund that failed
+export const sendPaymentAlertToAdmin = async (
+  orderDetails,
+  { heading, message },
+) => {
+  if (!process.env.ADMIN_EMAIL) return;
+  await sendNotice(
+    {
+      from: `"StarFarmer System" <${process.env.ADMIN_EMAIL}>`,
+      to: process.env.ADMIN_EMAIL,
+      subject: `[Payment Alert #${orderDetails._id}] ${heading}`,
+      html: renderNoticeEmail(
+        heading,
+        `
+          <p>${message}</p>
+          <p><strong>Order:</strong> #${orderDetails._id} (${formatCurrency(orderDetails.total)}, ${orderDetails.paymentGateway || orderDetails.paymentMethod})</p>
+          <p><strong>Status:</strong> ${orderDetails.status}, payment ${orderDetails.paymentStatus}</p>
+        `,
+      ),
+    },
+    `admin payment alert (order ${orderDetails._id})`,
+  );
+};
+
+export const sendReturnRequestEmail = async (
+  userEmail,
+  orderDetails,
+  returnRequest,
+) => {
+  await sendNotice(
+    {
+      from: `"StarFarmer" <${process.env.EMAIL_FROM}>`,
+      to: userEmail,
+      subject: `We Received Your Return Request for Order #${orderDetails._id}`,
+      html: renderNoticeEmail(
+        "Return request received",
+        `
+          <p>We have received your request to return the following items from order <strong>#${orderDetails._id}</strong>:</p>
+          ${renderReturnItems(orderDetails, returnRequest)}
+          <p><strong>Reason:</strong> ${returnRequest.reason}</p>
+          <p>Our team will review it and get back to you shortly.</p>
+        `,
+      ),
+    },
+    `return request (order ${orderDetails._id})`,
+  );
+};
+
+export const sendReturnRequestNotificationToAdmin = async (
+  orderDetails,
+  returnRequest,
+) => {
+  if (!process.env.ADMIN_EMAIL) return;
+  const adminBaseUrl = "https://starfarmer-frontend.onrender.com/admin";
+  await sendNotice(
+    {
+      from: `"StarFarmer System" <${process.env.ADMIN_EMAIL}>`,
+      to: process.env.ADMIN_EMAIL,
+      subject: `[Return Requested #${orderDetails._id}] ${formatCurrency(returnRequest.amount)}`,
+      html: renderNoticeEmail(
+        "New return request",
+        `
+          <p>${orderDetails.userId?.name || "A customer"} (${orderDetails.userId?.email || "N/A"}) wants to return items from order <strong>#${orderDetails._id}</strong>:</p>
+          ${renderReturnItems(orderDetails, returnRequest)}
+          <p><strong>Reason:</strong> ${returnRequest.reason}</p>
+          <p><a href="${adminBaseUrl}/orders/${orderDetails._id}">Review the request in the admin panel</a></p>
+        `,
+      ),
+    },
+    `admin return notice (order ${orderDetails._id})`,
+  );
+};
+
+export const sendReturnDecisionEmail = async (
+  userEmail,
+  orderDetails,
+  returnRequest,
+) => {
+  const approved = returnRequest.status === "approved";
+  await sendNotice(
+    {
+      from: `"StarFarmer" <${process.env.EMAIL_FROM}>`,
+      to: userEmail,
+      subject: `Your Return Request for Order #${orderDetails._id} Was ${approved ? "Approved" : "Declined"}`,
+      html: renderNoticeEmail(
+        approved ? "Return approved" : "Return declined",
+        `
+          <p>Your return request for these items from order <strong>#${orderDetails._id}</strong> has been ${approved ? "approved" : "declined"}:</p>
+          ${renderReturnItems(orderDetails, returnRequest)}
+          ${returnRequest.adminNote ? `<p><strong>Note from our team:</strong> ${returnRequest.adminNote}</p>` : ""}
+          ${approved ? `<p>A refund of ${formatCurrency(returnRequest.amount)} will be processed for the returned items.</p>` : ""}
+        `,
+      ),
+    },
+    `return decision (order ${orderDetails._id})`,
+  );
+};
+
+// --- Order Status Updates ---
+
+// Courier details for the "shipped" update, labelled in both languages
+const renderShipmentDetails = (shipment) => {
+  if (!shipment) return "";
+  const expected = shipment.expectedDeliveryAt
+    ? format(new Date(shipment.expectedDeliveryAt), "PPP")
+    : null;
+  return `
+    <p><strong>Courier / कुरिअर:</strong> ${shipment.carrier}</p>
+    <p><strong>Tracking number (AWB) / ट्रॅकिंग क्रमांक:</strong> ${shipment.trackingNumber}</p>
+    ${expected ? `<p><strong>Expected delivery / अपेक्षित डिलिव्हरी:</strong> ${expected}</p>` : ""}
+    ${shipment.trackingUrl ? `<p><a href="${shipment.trackingUrl}" style="color: #28a745;">Track your parcel / पार्सल ट्रॅक करा</a></p>` : ""}
+  `;
+};
+
+// Short list of what is in the parcel
+const renderOrderItems = (orderDetails) => `
+  <ul>
+    ${orderDetails.items
+      .map(
+        (item) =>
+          `<li>${item.productId?.name?.en || "Product Unavailable"}${item.sizeLabel ? ` (${item.sizeLabel})` : ""} &times; ${item.quantity}</li>`,
+      )
+      .join("")}
+  </ul>
+`;
+
+// English and Marathi wording for each status a customer hears about.
+// payment_pending has none: the customer is at the payment page then.
+const STATUS_UPDATE_TEMPLATES = {
+  processing: {
+    en: {
+      heading: "We're preparing your order",
+      body: (id) =>
+        `Your order <strong>#${id}</strong> is being packed and will be shipped soon.`,
+    },
+    mr: {
+      heading: "आम्ही तुमची ऑर्डर तयार करत आहोत",
+      body: (id) =>
+        `तुमची ऑर्डर <strong>#${id}</strong> पॅक केली जात आहे आणि लवकरच पाठवली जाईल.`,
+    },
+  },
+  shipped: {
+    en: {
+      heading: "Your order is on its way",
+      body: (id) =>
+        `Good news! Your order <strong>#${id}</strong> has been handed to the courier.`,
+    },
+    mr: {
+      heading: "तुमची ऑर्डर मार्गावर आहे",
+      body: (id) =>
+        `चांगली बातमी! तुमची ऑर्डर <strong>#${id}</strong> कुरिअरकडे सोपवली आहे.`,
+    },
+  },
+  delivered: {
+    en: {
+      heading: "Your order has been delivered",
+      body: (id) =>
+        `Your order <strong>#${id}</strong> has been delivered. If anything is wrong with it, you can request a return from My Orders.`,
+    },
+    mr: {
+      heading: "तुमची ऑर्डर पोहोचली आहे",
+      body: (id) =>
+        `तुमची ऑर्डर <strong>#${id}</strong> पोहोचवली आहे. काही अडचण असल्यास, माझ्या ऑर्डर्स मधून परतीची विनंती करता येईल.`,
+    },
+  },
+  completed: {
+    en: {
+      heading: "Thank you for shopping with us",
+      body: (id) =>
+        `Your order <strong>#${id}</strong> is complete. We hope to see you again soon.`,
+    },
+    mr: {
+      heading: "आमच्याकडून खरेदी केल्याबद्दल धन्यवाद",
+      body: (id) =>
+        `तुमची ऑर्डर <strong>#${id}</strong> पूर्ण झाली आहे. पुन्हा भेटूया.`,
+    },
+  },
+  cancelled: {
+    en: {
+      heading: "Your order has been cancelled",
+      body: (id) => `Your order <strong>#${id}</strong> has been cancelled.`,
+    },
+    mr: {
+      heading: "तुमची ऑर्डर रद्द केली आहे",
+      body: (id) => `तुमची ऑर्डर <strong>#${id}</strong> रद्द करण्यात आली आहे.`,
+    },
+  },
+  payment_failed: {
+    en: {
+      heading: "Your payment did not go through",
+      body: (id) =>
+        `We could not confirm the payment for order <strong>#${id}</strong>. You can retry the payment or switch to cash on delivery from My Orders.`,
+    },
+    mr: {
+      heading: "तुमचे पेमेंट पूर्ण झाले नाही",
+      body: (id) =>
+        `ऑर्डर <strong>#${id}</strong> चे पेमेंट निश्चित होऊ शकले नाही. माझ्या ऑर्डर्स मधून तुम्ही पुन्हा पेमेंट करू शकता किंवा कॅश ऑन डिलिव्हरी निवडू शकता.`,
+    },
+  },
+  payment_issue: {
+    en: {
+      heading: "We're checking your payment",
+      body: (id) =>
+        `The amount we received for order <strong>#${id}</strong> does not match the order total. Our team will look into it and contact you.`,
+    },
+    mr: {
+      heading: "आम्ही तुमचे पेमेंट तपासत आहोत",
+      body: (id) =>
+        `ऑर्डर <strong>#${id}</strong> साठी मिळालेली रक्कम ऑर्डरच्या एकूण रकमेशी जुळत नाही. आमची टीम तपासून तुमच्याशी संपर्क करेल.`,
+    },
+  },
+  returned: {
+    en: {
+      heading: "Your return is complete",
+      body: (id) =>
+        `All items from order <strong>#${id}</strong> have been returned.`,
+    },
+    mr: {
+      heading: "तुमची परतीची प्रक्रिया पूर्ण झाली",
+      body: (id) =>
+        `ऑर्डर <strong>#${id}</strong> मधील सर्व वस्तू परत घेतल्या आहेत.`,
+    },
+  },
+};
+
+/**
+ * Tells the customer about the order's current status, in English and
+ * Marathi. Statuses without a template are skipped (returns false). Unlike
+ * the notices above, failures are thrown so the caller can log them.
+ */
+export const sendOrderStatusUpdateEmail = async (userEmail, orderDetails) => {
+  const template = STATUS_UPDATE_TEMPLATES[orderDetails.status];
+  if (!template) return false;
+  const { en, mr } = template;
+  const id = orderDetails._id;
+
+  // Extra details some statuses carry
+  let details = "";
+  if (orderDetails.status === "shipped") {
+    details =
+      renderShipmentDetails(orderDetails.shipment) +
+      renderOrderItems(orderDetails);
+  } else if (orderDetails.status === "cancelled") {
+    const reason = orderDetails.statusHistory?.at(-1)?.note;
+    details = `
+      ${reason ? `<p><strong>Reason / कारण:</strong> ${reason}</p>` : ""}
+      ${orderDetails.refunds?.some((refund) => refund.state !== "failed") ? "<p>Your payment is being refunded to the original payment method.<br>तुमचे पैसे मूळ पेमेंट पद्धतीने परत केले जात आहेत.</p>" : ""}
+    `;
+  }
+
+  const mailOptions = {
+    from: `"StarFarmer" <${process.env.EMAIL_FROM}>`,
+    to: userEmail,
+    subject: `${en.heading} (#${id}) | ${mr.heading}`,
+    html: renderNoticeEmail(
+      `${en.heading} / ${mr.heading}`,
+      `
+        <p>${en.body(id)}</p>
+        <p>${mr.body(id)}</p>
+        ${details}
+      `,
+    ),
+  };
+  const transporter = await createTransporter();
+  await transporter.sendMail(mailOptions);
+  console.log(
+    `Status update (${orderDetails.status}) email sent to ${userEmail} for order ${id}`,
+  );
+  return true;
+};
+
+// --- Abandoned Cart Reminder ---
+
+// Bilingual (English / Marathi) reminder listing what is still in the cart.
+// Unlike the notices above, failures are thrown so the job can retry later.
+export const sendAbandonedCartReminder = async (
+  user,
+  cartItems,
+  { cartUrl, unsubscribeUrl },
+) => {
+  const itemRows = cartItems
+    .map(
+      (item) => `
+        <tr>
+          <td style="padding: 8px; border-bottom: 1px solid #eeeeee;">
+            ${item.name.en}${item.sizeLabel ? ` (${item.sizeLabel})` : ""}<br>
+            <span style="color: #555555;">${item.name.mr}</span>
+          </td>
+          <td style="padding: 8px; border-bottom: 1px solid #eeeeee; text-align: center;">${item.quantity}</td>
+          <td style="padding: 8px; border-bottom: 1px solid #eeeeee; text-align: right;">${formatCurrency(item.price)}</td>
+        </tr>`,
+    )
+    .join("");
+
+  const mailOptions = {
+    from: `"StarFarmer" <${process.env.EMAIL_FROM}>`,
+    to: user.email,
+    subject: "Your cart is waiting | तुमची कार्ट तुमची वाट पाहत आहे",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your cart is waiting for you</h2>
+        <p>Namaste ${user.name}, you left these items in your cart. Prices and stock may change, so complete your order soon.</p>
+        <h2>तुमची कार्ट तुमची वाट पाहत आहे</h2>
+        <p>नमस्कार ${user.name}, तुम्ही या वस्तू तुमच्या कार्टमध्ये ठेवल्या आहेत. किंमती आणि साठा बदलू शकतो, म्हणून लवकर ऑर्डर पूर्ण करा.</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 16px 0;">
+          <thead>
+            <tr style="background-color: #f8f8f8;">
+              <th style="padding: 8px; text-align: left;">Item / वस्तू</th>
+              <th style="padding: 8px;">Qty / संख्या</th>
+              <th style="padding: 8px; text-align: right;">Price / किंमत</th>
+            </tr>
+          </thead>
+          <tbody>${itemRows}</tbody>
+        </table>
+        <a href="${cartUrl}" style="display: inline-block; padding: 12px 24px; background-color: #22c55e; color: white; text-decoration: none; border-radius: 4px; margin: 16px 0;">
+          Complete your order / तुमची ऑर्डर पूर्ण करा
+        </a>
+        <p style="font-size: 0.85em; color: #888888;">
+          Don't want these reminders? / ही आठवण नको आहे?
+          <a href="${unsubscribeUrl}" style="color: #888888;">Unsubscribe / सदस्यता रद्द करा</a>
+        </p>
+      </div>
+    `,
+  };
+  const transporter = await createTransporter();
+  await transporter.sendMail(mailOptions);
+  console.log(`Abandoned cart reminder sent to ${user.email}`);
+};
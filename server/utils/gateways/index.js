@@ -0,0 +1,44 @@
+// utils/gateways/index.js
+import AppError from "../appError.js";
+import phonepeGateway from "./phonepe.js";
+import mockGateway from "./mock.js";
+
+/**
+ * Payment gateway adapters. Each adapter is an object with:
+ *
+ *   name, label          – name is stored in Order.paymentGateway
+ *   isConfigured()       – whether it can take payments in this environment
+ *   initiate({ merchantTransactionId, amount, userId, mobileNumber })
+ *                        – resolves { redirectUrl }; throws AppError if refused
+ *   verifyCallback(req)  – { verified, reason?, result? } for a callback request
+ *   checkStatus(merchantTransactionId)            – resolves a PaymentResult
+ *   refund({ originalTransactionId, merchantRefundId, amount, userId })
+ *                        – resolves a PaymentResult for the refund
+ *
+ * A PaymentResult is { status, merchantTransactionId, gatewayTransactionId,
+ * amount, code, message, raw }, with status one of "success", "pending",
+ * "failed" or "not_found" and amount in rupees.
+ */
+const gateways = new Map();
+
+export const registerGateway = (adapter) => {
+  gateways.set(adapter.name, adapter);
+};
+
+registerGateway(phonepeGateway);
+registerGateway(mockGateway);
+
+// Names of every registered adapter, used for the Order.paymentGateway enum
+export const listGatewayNames = () => [...gateways.keys()];
+
+export const getGateway = (name) => {
+  const gateway = gateways.get(name);
+  if (!gateway) {
+    throw new AppError(`Unsupported payment gateway: ${name}`, 400);
+  }
+  return gateway;
+};
+
+// Gateway used for online payments when the client doesn't ask for one
+export const getDefaultGatewayName = () =>
+  process.env.PAYMENT_GATEWAY || "phonepe";
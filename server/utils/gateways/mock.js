@@ -0,0 +1,132 @@
+// utils/gateways/mock.js
+import crypto from "crypto";
+import axios from "axios";
+
+/**
+ * A stand-in gateway for local development and tests. Nothing leaves the
+ * server and every outcome is decided by the amount, so the same order
+ * always behaves the same way:
+ *
+ *   amount ending in .01 (paise)  → payment fails
+ *   amount ending in .02 (paise)  → payment stays pending
+ *   anything else                 → payment succeeds
+ *
+ * Refunds always succeed. After `initiate`, the mock posts a signed callback
+ * to MOCK_GATEWAY_CALLBACK_URL (the app's own /api/payments/mock/callback by
+ * default) just like a real gateway would.
+ *
+ * It is off unless ENABLE_MOCK_GATEWAY=true and MOCK_GATEWAY_SECRET (used to
+ * sign its callbacks) are both set.
+ */
+
+const transactions = new Map(); // merchantTransactionId -> PaymentResult
+
+const sign = (body) =>
+  crypto
+    .createHash("sha256")
+    .update(body + process.env.MOCK_GATEWAY_SECRET)
+    .digest("hex");
+
+const outcomeFor = (amount) => {
+  const paise = Math.round(amount * 100) % 100;
+  if (paise === 1) return "failed";
+  if (paise === 2) return "pending";
+  return "success";
+};
+
+const callbackUrl = () =>
+  process.env.MOCK_GATEWAY_CALLBACK_URL ||
+  `http://localhost:${process.env.PORT || 5000}/api/payments/mock/callback`;
+
+const sendCallback = async (result) => {
+  const body = JSON.stringify({
+    merchantTransactionId: result.merchantTransactionId,
+    gatewayTransactionId: result.gatewayTransactionId,
+    status: result.status,
+    amount: result.amount,
+  });
+  try {
+    await axios.post(
+      callbackUrl(),
+      { response: body },
+      { headers: { "X-MOCK-SIGNATURE": sign(body) } },
+    );
+  } catch (error) {
+    console.error("Mock gateway callback failed:", error.message);
+  }
+};
+
+const mockGateway = {
+  name: "mock",
+  label: "Mock Gateway",
+
+  // Opt-in only, in every environment
+  isConfigured: () =>
+    process.env.ENABLE_MOCK_GATEWAY === "true" &&
+    Boolean(process.env.MOCK_GATEWAY_SECRET),
+
+  async initiate({ merchantTransactionId, amount }) {
+    const result = {
+      status: outcomeFor(amount),
+      merchantTransactionId,
+      gatewayTransactionId: `MOCK_${merchantTransactionId}`,
+      amount,
+      code: "MOCK",
+      message: "Mock gateway payment",
+    };
+    transactions.set(merchantTransactionId, result);
+
+    // Settle asynchronously, after the order has been handed back
+    if (result.status !== "pending") {
+      setTimeout(() => sendCallback(result), 500);
+    }
+
+    const redirectBase =
+      process.env.MOCK_GATEWAY_REDIRECT_URL || process.env.PHONEPE_REDIRECT_URL;
+    return {
+      redirectUrl: `${redirectBase}?mtid=${merchantTransactionId}`,
+      raw: result,
+    };
+  },
+
+  verifyCallback(req) {
+    const body = req.body?.response;
+    const signature = req.headers["x-mock-signature"];
+    if (
+      !mockGateway.isConfigured() ||
+      !body ||
+      !signature ||
+      signature !== sign(body)
+    ) {
+      return { verified: false, reason: "Signature mismatch" };
+    }
+    const decoded = JSON.parse(body);
+    return {
+      verified: true,
+      result: { ...decoded, code: "MOCK", raw: decoded },
+    };
+  },
+
+  async checkStatus(merchantTransactionId) {
+    return (
+      transactions.get(merchantTransactionId) || {
+        status: "not_found",
+        merchantTransactionId,
+        code: "MOCK",
+      }
+    );
+  },
+
+  async refund({ merchantRefundId, amount }) {
+    return {
+      status: "success",
+      merchantTransactionId: merchantRefundId,
+      gatewayTransactionId: `MOCK_${merchantRefundId}`,
+      amount,
+      code: "MOCK",
+      message: "Mock refund",
+    };
+  },
+};
+
+export default mockGateway;
@@ -0,0 +1,145 @@
+// utils/gateways/phonepe.js
+import axios from "axios";
+import { Buffer } from "buffer";
+import AppError from "../appError.js";
+import {
+  verifyChecksum,
+  requestPhonePePayment,
+  checkPhonePeTransactionStatus,
+  requestPhonePeRefund,
+} from "../phonepe.js";
+
+// Maps a PhonePe response body (callback, status or refund) to a PaymentResult
+const toPaymentResult = (response) => {
+  const { success, code, message, data } = response || {};
+
+  let status = "failed";
+  if (
+    success &&
+    ["PAYMENT_SUCCESS", "SUCCESS"].includes(code) &&
+    data?.state === "COMPLETED" &&
+    data?.responseCode === "SUCCESS"
+  ) {
+    status = "success";
+  } else if (code === "PAYMENT_PENDING" || data?.state === "PENDING") {
+    status = "pending";
+  } else if (code === "TRANSACTION_NOT_FOUND") {
+    status = "not_found";
+  }
+
+  return {
+    status,
+    merchantTransactionId: data?.merchantTransactionId,
+    gatewayTransactionId: data?.transactionId, // PhonePe's ID
+    amount: data?.amount !== undefined ? data.amount / 100 : undefined, // Rupees
+    code: data?.responseCode || code,
+    message,
+    raw: response,
+  };
+};
+
+// Wraps axios errors from PhonePe calls in an AppError with PhonePe's message
+const toAppError = (error) => {
+  if (!axios.isAxiosError(error)) return error;
+  console.error("PhonePe API Call Error:", error.response?.data);
+  return new AppError(
+    `PhonePe API Error: ${error.response?.data?.message || error.message}`,
+    error.response?.status || 500,
+  );
+};
+
+const phonepeGateway = {
+  name: "phonepe",
+  label: "PhonePe",
+
+  isConfigured: () =>
+    Boolean(
+      process.env.PHONEPE_MERCHANT_ID &&
+      process.env.PHONEPE_SALT_KEY &&
+      process.env.PHONEPE_SALT_INDEX &&
+      process.env.PHONEPE_PAY_API_URL &&
+      process.env.PHONEPE_REDIRECT_URL &&
+      process.env.PHONEPE_CALLBACK_URL,
+    ),
+
+  async initiate({ merchantTransactionId, amount, userId, mobileNumber }) {
+    let response;
+    try {
+      response = await requestPhonePePayment({
+        merchantTransactionId,
+        merchantUserId: userId.toString(),
+        amount,
+        mobileNumber,
+      });
+    } catch (error) {
+      throw toAppError(error);
+    }
+
+    const redirectUrl = response?.data?.instrumentResponse?.redirectInfo?.url;
+    if (!response?.success || !redirectUrl) {
+      console.error(
+        `PhonePe payment initiation failed for MTID ${merchantTransactionId}:`,
+        response?.message || "Unknown error from PhonePe",
+      );
+      // Send specific error message if available
+      throw new AppError(
+        response?.message || "Failed to initiate payment with PhonePe.",
+        500,
+      );
+    }
+    return { redirectUrl, raw: response };
+  },
+
+  // PhonePe posts base64 JSON in `response`, signed in the X-VERIFY header
+  verifyCallback(req) {
+    const encodedResponse = req.body?.response;
+    const receivedChecksum = req.headers["x-verify"];
+    if (!encodedResponse || !receivedChecksum) {
+      return {
+        verified: false,
+        reason: "Missing response payload or x-verify header",
+      };
+    }
+
+    const verified = verifyChecksum(
+      encodedResponse,
+      receivedChecksum,
+      process.env.PHONEPE_SALT_KEY,
+      process.env.PHONEPE_SALT_INDEX,
+    );
+    if (!verified) {
+      return { verified: false, reason: "Checksum mismatch" };
+    }
+
+    const decoded = JSON.parse(
+      Buffer.from(encodedResponse, "base64").toString("utf8"),
+    );
+    return { verified: true, result: toPaymentResult(decoded) };
+  },
+
+  async checkStatus(merchantTransactionId) {
+    try {
+      return toPaymentResult(
+        await checkPhonePeTransactionStatus(merchantTransactionId),
+      );
+    } catch (error) {
+      throw toAppError(error);
+    }
+  },
+
+  async refund({ originalTransactionId, merchantRefundId, amount, userId }) {
+    try {
+      const response = await requestPhonePeRefund({
+        originalTransactionId,
+        merchantRefundId,
+        merchantUserId: userId.toString(),
+        amount,
+      });
+      return toPaymentResult(response);
+    } catch (error) {
+      throw toAppError(error);
+    }
+  },
+};
+
+export default phonepeGateway;
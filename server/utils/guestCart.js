@@ -0,0 +1,64 @@
+// utils/guestCart.js
+import crypto from "crypto";
+import Cart from "../models/cart.js";
+import { maxLineQuantity, isSameLine } from "./pricing.js";
+
+// Header in which guests send their cart token
+export const GUEST_CART_HEADER = "X-Guest-Cart-Token";
+
+// Only the hash is stored, like password reset tokens
+export const hashGuestCartToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Creates an empty guest cart and returns the opaque token that identifies it
+export const createGuestCart = async () => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const cart = await Cart.create({
+    guestTokenHash: hashGuestCartToken(token),
+    items: [],
+  });
+  return { token, expiresAt: cart.expiresAt };
+};
+
+/**
+ * Moves a guest cart into the user's cart after they log in. Quantities of
+ * the same product and pack size are added together (capped at
+ * maxLineQuantity), then the guest cart is deleted. Unknown or expired
+ * tokens are ignored. Returns true if anything was merged.
+ */
+export const mergeGuestCart = async (userId, guestToken) => {
+  if (!guestToken || typeof guestToken !== "string") return false;
+
+  // Deleting first means two logins with the same token can't both merge it
+  const guestCart = await Cart.findOneAndDelete({
+    guestTokenHash: hashGuestCartToken(guestToken),
+  });
+  if (!guestCart || guestCart.items.length === 0) return false;
+
+  let cart = await Cart.findOne({ user: userId });
+  if (!cart) {
+    cart = new Cart({ user: userId, items: [] });
+  }
+
+  const maxQuantity = maxLineQuantity();
+  for (const guestItem of guestCart.items) {
+    const existing = cart.items.find((item) => isSameLine(item, guestItem));
+    if (existing) {
+      existing.quantity = Math.min(
+        existing.quantity + guestItem.quantity,
+        maxQuantity,
+      );
+    } else {
+      cart.items.push({
+        productId: guestItem.productId,
+        variantId: guestItem.variantId,
+        quantity: Math.min(guestItem.quantity, maxQuantity),
+      });
+    }
+  }
+  await cart.save();
+  console.log(
+    `Merged guest cart (${guestCart.items.length} line(s)) into cart of user ${userId}`,
+  );
+  return true;
+};
@@ -0,0 +1,98 @@
+// utils/inventory.js
+import Product from "../models/product.js";
+import Order from "../models/order.js";
+import AppError from "./appError.js";
+
+// Statuses that give reserved units back to the shelf
+export const STOCK_RELEASING_STATUSES = ["cancelled", "payment_failed"];
+
+// Items with a variantId draw on that pack size's stock, others on the product's
+const stockFilter = (item, minimum) => {
+  if (item.variantId) {
+    return minimum === undefined
+      ? { _id: item.productId, "variants._id": item.variantId }
+      : {
+          _id: item.productId,
+          variants: {
+            $elemMatch: { _id: item.variantId, stock: { $gte: minimum } },
+          },
+        };
+  }
+  return minimum === undefined
+    ? { _id: item.productId }
+    : { _id: item.productId, stock: { $gte: minimum } };
+};
+
+const stockIncrement = (item, amount) =>
+  item.variantId
+    ? { $inc: { "variants.$.stock": amount } }
+    : { $inc: { stock: amount } };
+
+const restock = async (items, { session } = {}) => {
+  for (const item of items) {
+    await Product.updateOne(
+      stockFilter(item),
+      stockIncrement(item, item.quantity),
+      { session },
+    );
+  }
+};
+
+/**
+ * Atomically takes `quantity` units of each item off the stock of its
+ * product, or of its pack size when the item has a variantId. Each
+ * decrement only matches while enough stock is left, so two checkouts can
+ * never both take the last unit. If any item is short, the units already
+ * taken for this order are put back and a 409 is thrown. Pass a session to
+ * run inside a transaction.
+ */
+export const reserveStock = async (items, { session } = {}) => {
+  const reserved = [];
+  for (const item of items) {
+    const result = await Product.updateOne(
+      stockFilter(item, item.quantity),
+      stockIncrement(item, -item.quantity),
+      { session },
+    );
+
+    if (result.modifiedCount === 0) {
+      await restock(reserved, { session });
+      const product = await Product.findById(item.productId)
+        .select("name stock variants")
+        .session(session || null);
+      const variant = product?.findVariant(item.variantId);
+      const productName = [
+        product?.name?.en || item.productId,
+        variant?.sizeLabel,
+      ]
+        .filter(Boolean)
+        .join(" ");
+      const available = Math.max((variant || product)?.stock || 0, 0);
+      throw new AppError(
+        available > 0
+          ? `Only ${available} unit(s) of ${productName} left in stock.`
+          : `${productName} is out of stock.`,
+        409,
+      );
+    }
+    reserved.push(item);
+  }
+};
+
+/**
+ * Returns an order's reserved units to stock. The stockReserved flag is
+ * cleared with a conditional update first, so the callback, admin route
+ * and any retries can all call this safely and only one of them restocks.
+ */
+export const releaseOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReserved: true },
+    { $set: { stockReserved: false } },
+  );
+  if (!claimed) return false;
+
+  await restock(claimed.items);
+  order.stockReserved = false;
+  console.log(`Released reserved stock for Order ${order._id}`);
+  return true;
+};
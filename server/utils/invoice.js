@@ -0,0 +1,324 @@
+// utils/invoice.js
+import { createRequire } from "module";
+import mongoose from "mongoose";
+import PDFDocument from "pdfkit";
+import Order from "../models/order.js";
+import Counter from "../models/counter.js";
+import { calculateOrderTax } from "./tax.js";
+
+const require = createRequire(import.meta.url);
+// Marathi product names need a Devanagari font; the built-in ones are Latin only
+const DEVANAGARI_FONT =
+  require.resolve("@fontsource/noto-sans-devanagari/files/noto-sans-devanagari-devanagari-400-normal.woff");
+
+const seller = () => ({
+  name: process.env.SELLER_NAME || "StarFarmer",
+  address: process.env.SELLER_ADDRESS || "123 Agri Teck Park, Pune",
+  state: process.env.GST_HOME_STATE || "Maharashtra",
+  gstin: process.env.SELLER_GSTIN,
+  email: process.env.SELLER_EMAIL || "support@starfarmer.com",
+});
+
+// Indian financial year of a date, e.g. "2026-27" (April to March)
+const financialYear = (date) => {
+  const startYear =
+    date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+// Paid online, or a COD order that went ahead; only these get an invoice
+export const isInvoiceable = (order) =>
+  order.paymentMethod === "cod"
+    ? !["payment_pending", "payment_failed", "cancelled"].includes(order.status)
+    : ["paid", "partially_refunded", "refunded"].includes(order.paymentStatus);
+
+/**
+ * Gives the order the next invoice number of the current financial year,
+ * unless it already has one. The counter and the order are updated in one
+ * transaction, so numbers are never skipped or handed out twice.
+ */
+export const assignInvoiceNumber = async (order) => {
+  if (order.invoice?.number) return order.invoice;
+
+  const invoice = await mongoose.connection.transaction(async (session) => {
+    const current = await Order.findById(order._id)
+      .select("invoice")
+      .session(session);
+    if (current.invoice?.number) return current.invoice;
+
+    const issuedAt = new Date();
+    const year = financialYear(issuedAt);
+    const seq = await Counter.next(`invoice-${year}`, { session });
+    const prefix = process.env.INVOICE_PREFIX || "SF";
+    const number = `${prefix}/${year}/${String(seq).padStart(5, "0")}`;
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { invoice: { number, issuedAt } } },
+      { session },
+    );
+    return { number, issuedAt };
+  });
+
+  order.invoice = { number: invoice.number, issuedAt: invoice.issuedAt };
+  return order.invoice;
+};
+
+const formatAmount = (amount) =>
+  Number(amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+// Order data with a GST breakdown, worked out for orders placed before GST was stored
+const invoiceData = (order) => {
+  const data = order.toObject();
+  data.items = data.items.map((item) => ({
+    ...item,
+    lineTotal: item.lineTotal ?? item.price * item.quantity,
+  }));
+  if (!data.tax?.supplyType) {
+    Object.assign(data, calculateOrderTax(data, data.shippingAddress));
+  }
+  return data;
+};
+
+const paymentDescription = (order) => {
+  if (order.paymentMethod === "cod") return "Cash on Delivery";
+  const reference = order.gatewayTransactionId
+    ? `, ref. ${order.gatewayTransactionId}`
+    : "";
+  return `Online (${order.paymentGateway}${reference}) - ${order.paymentStatus}`;
+};
+
+/**
+ * Lays out the tax invoice: seller, buyer, items in English and Marathi with
+ * HSN and GST, totals and payment method. `order` needs its invoice number,
+ * items.productId (name) and userId (name, email) populated.
+ */
+const drawInvoice = (doc, order) => {
+  const data = invoiceData(order);
+  const from = seller();
+  const intraState = data.tax.supplyType === "intra_state";
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  // --- Header ---
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text("TAX INVOICE", { align: "center" });
+  doc.moveDown(0.5);
+  const headerTop = doc.y;
+  doc.font("Helvetica-Bold").fontSize(11).text(from.name, left, headerTop);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(from.address)
+    .text(`State: ${from.state}`)
+    .text(from.gstin ? `GSTIN: ${from.gstin}` : "GSTIN: -")
+    .text(from.email);
+  const sellerBottom = doc.y;
+
+  const details = [
+    ["Invoice No.", data.invoice.number],
+    ["Invoice Date", formatDate(data.invoice.issuedAt)],
+    ["Order ID", String(data._id)],
+    ["Order Date", formatDate(data.createdAt)],
+    ["Payment", paymentDescription(data)],
+  ];
+  doc.y = headerTop;
+  details.forEach(([label, value]) => {
+    doc
+      .font("Helvetica-Bold")
+      .text(`${label}: `, left + width / 2, doc.y, { continued: true })
+      .font("Helvetica")
+      .text(value, { width: width / 2 });
+  });
+  doc.y = Math.max(doc.y, sellerBottom) + 10;
+
+  // --- Buyer ---
+  const address = data.shippingAddress;
+  doc.font("Helvetica-Bold").fontSize(10).text("Bill / Ship To", left);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(address.fullName)
+    .text(
+      [address.addressLine1, address.addressLine2].filter(Boolean).join(", "),
+    )
+    .text(
+      `${[address.city, address.district].filter(Boolean).join(", ")}, ${address.state} - ${address.pincode}`,
+    )
+    .text(`Phone: ${address.phone}`);
+  if (data.userId?.email) doc.text(`Email: ${data.userId.email}`);
+  doc.text(`Place of supply: ${address.state}`);
+  doc.moveDown();
+
+  // --- Items ---
+  const columns = [
+    { key: "index", label: "#", width: 20 },
+    { key: "item", label: "Item", width: intraState ? 150 : 170 },
+    { key: "hsn", label: "HSN", width: 45 },
+    { key: "quantity", label: "Qty", width: 30, align: "right" },
+    { key: "rate", label: "Rate", width: 50, align: "right" },
+    { key: "taxable", label: "Taxable", width: 55, align: "right" },
+    { key: "gstRate", label: "GST %", width: 35, align: "right" },
+    ...(intraState
+      ? [
+          { key: "cgst", label: "CGST", width: 40, align: "right" },
+          { key: "sgst", label: "SGST", width: 40, align: "right" },
+        ]
+      : [{ key: "igst", label: "IGST", width: 60, align: "right" }]),
+    { key: "total", label: "Amount", width: 50, align: "right" },
+  ];
+  const pageBottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (cells, { bold = false } = {}) => {
+    const top = doc.y;
+    let x = left;
+    let bottom = top;
+    for (const column of columns) {
+      const cell = cells[column.key];
+      const options = { width: column.width - 4, align: column.align };
+      doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+      if (column.key === "item" && typeof cell === "object") {
+        // English name, pack size, then the Marathi name below it
+        doc.text(cell.en, x, top, options);
+        if (cell.mr) doc.font("Devanagari").text(cell.mr, x, doc.y, options);
+      } else {
+        doc.text(cell ?? "", x, top, options);
+      }
+      bottom = Math.max(bottom, doc.y);
+      x += column.width;
+    }
+    doc
+      .moveTo(left, bottom + 2)
+      .lineTo(left + width, bottom + 2)
+      .lineWidth(0.5)
+      .stroke();
+    doc.y = bottom + 5;
+  };
+
+  const headerCells = Object.fromEntries(
+    columns.map((column) => [column.key, column.label]),
+  );
+  drawRow(headerCells, { bold: true });
+
+  data.items.forEach((item, index) => {
+    if (doc.y > pageBottom - 40) {
+      doc.addPage();
+      drawRow(headerCells, { bold: true });
+    }
+    const name = item.productId?.name;
+    drawRow({
+      index: String(index + 1),
+      item: {
+        en: [name?.en || "Product", item.sizeLabel].filter(Boolean).join(" - "),
+        mr: name?.mr,
+      },
+      hsn: item.hsnCode || "-",
+      quantity: String(item.quantity),
+      rate: formatAmount(item.price),
+      taxable: formatAmount(item.tax?.taxableValue),
+      gstRate: `${item.gstRate || 0}%`,
+      cgst: formatAmount(item.tax?.cgst),
+      sgst: formatAmount(item.tax?.sgst),
+      igst: formatAmount(item.tax?.igst),
+      total: formatAmount(item.lineTotal),
+    });
+  });
+
+  // --- Totals ---
+  const totals = [
+    ["Subtotal", data.subtotal],
+    ...(data.discount > 0
+      ? [
+          [
+            `Discount${data.coupon?.code ? ` (${data.coupon.code})` : ""}`,
+            -data.discount,
+          ],
+        ]
+      : []),
+    ["Shipping", data.shippingCharge],
+    ["Taxable value", data.tax.taxableValue],
+    ...(intraState
+      ? [
+          ["CGST", data.tax.cgst],
+          ["SGST", data.tax.sgst],
+        ]
+      : [["IGST", data.tax.igst]]),
+  ];
+  if (doc.y > pageBottom - 120) doc.addPage();
+  doc.moveDown(0.5);
+  const labelX = left + width - 220;
+  totals.forEach(([label, amount]) => {
+    const top = doc.y;
+    doc.font("Helvetica").fontSize(9).text(label, labelX, top, { width: 130 });
+    doc.text(formatAmount(amount), labelX + 130, top, {
+      width: 90,
+      align: "right",
+    });
+  });
+  const top = doc.y + 2;
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(10)
+    .text("Grand Total (Rs.)", labelX, top, {
+      width: 130,
+    });
+  doc.text(formatAmount(data.total), labelX + 130, top, {
+    width: 90,
+    align: "right",
+  });
+
+  doc.moveDown(2);
+  doc
+    .font("Helvetica")
+    .fontSize(8)
+    .text(
+      "Amounts in Indian Rupees. Item prices include GST; taxable value and tax are shown per line. " +
+        "This is a computer-generated invoice and needs no signature.",
+      left,
+      doc.y,
+      { width, align: "center" },
+    );
+};
+
+// Renders the invoice PDF into a Buffer
+export const renderInvoicePdf = (order) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 40,
+      info: { Title: `Invoice ${order.invoice.number}` },
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    try {
+      doc.registerFont("Devanagari", DEVANAGARI_FONT);
+      drawInvoice(doc, order);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+/**
+ * Numbers the order's invoice if needed and renders it. Returns
+ * { filename, pdf }. See drawInvoice for what must be populated.
+ */
+export const buildInvoice = async (order) => {
+  await assignInvoiceNumber(order);
+  const pdf = await renderInvoicePdf(order);
+  const filename = `invoice-${order.invoice.number.replace(/\//g, "-")}.pdf`;
+  return { filename, pdf };
+};
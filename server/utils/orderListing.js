@@ -0,0 +1,158 @@
+// utils/orderListing.js
+import mongoose from "mongoose";
+import Order, { ORDER_STATUSES } from "../models/order.js";
+import User from "../models/user.js";
+import AppError from "./appError.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Customers matched by name or email before the search gives up on them
+const MAX_MATCHED_CUSTOMERS = 500;
+
+// ?sortBy= values the admin list accepts
+export const ORDER_SORT_FIELDS = ["createdAt", "updatedAt", "total", "status"];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Comma-separated list from the query string, checked against the allowed values
+const readList = (value, allowed, name) => {
+  if (value === undefined || value === "") return null;
+  const values = String(value)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const unknown = values.filter((entry) => !allowed.includes(entry));
+  if (unknown.length > 0) {
+    throw new AppError(
+      `Unknown ${name}: ${unknown.join(", ")}. Use one of: ${allowed.join(", ")}.`,
+      400,
+    );
+  }
+  return values;
+};
+
+// A date-only `to` (YYYY-MM-DD) covers that whole day
+const readDate = (value, name, { endOfDay = false } = {}) => {
+  if (value === undefined || value === "") return null;
+  const text = String(value);
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a date, e.g. 2026-04-01.`, 400);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * Conditions for a free-text search over customer name and email, the
+ * shipping name, phone and pincode, the order ID and the payment's
+ * merchantTransactionId.
+ */
+const searchConditions = async (search) => {
+  const text = search.trim();
+  const pattern = new RegExp(escapeRegex(text), "i");
+  const conditions = [
+    { "shippingAddress.fullName": pattern },
+    { "shippingAddress.phone": pattern },
+    { "shippingAddress.pincode": pattern },
+    { merchantTransactionId: pattern },
+    { "paymentAttempts.merchantTransactionId": pattern },
+  ];
+  // Cast here: the counts go through aggregate, which doesn't cast
+  if (/^[a-f\d]{24}$/i.test(text)) {
+    conditions.push({ _id: new mongoose.Types.ObjectId(text) });
+  }
+
+  const customers = await User.find({
+    $or: [{ name: pattern }, { email: pattern }],
+  })
+    .select("_id")
+    .limit(MAX_MATCHED_CUSTOMERS);
+  if (customers.length > 0) {
+    conditions.push({
+      userId: { $in: customers.map((customer) => customer._id) },
+    });
+  }
+  return conditions;
+};
+
+/**
+ * Reads the admin order list's query string:
+ *   status, paymentStatus, paymentMethod - one value or a comma-separated list
+ *   from, to - order date range (createdAt), inclusive
+ *   search - see searchConditions
+ *   sortBy (ORDER_SORT_FIELDS), sortOrder (asc | desc), page, limit
+ * Returns the Mongo filter, the same filter without the status condition
+ * (for the counts by status), and the sort and paging. Throws a 400 for
+ * values it doesn't understand.
+ */
+export const readOrderListQuery = async (query) => {
+  const filter = {};
+
+  const paymentStatuses = readList(
+    query.paymentStatus,
+    Order.schema.path("paymentStatus").enumValues,
+    "paymentStatus",
+  );
+  if (paymentStatuses) filter.paymentStatus = { $in: paymentStatuses };
+  const paymentMethods = readList(
+    query.paymentMethod,
+    Order.schema.path("paymentMethod").enumValues,
+    "paymentMethod",
+  );
+  if (paymentMethods) filter.paymentMethod = { $in: paymentMethods };
+
+  const from = readDate(query.from, "from");
+  const to = readDate(query.to, "to", { endOfDay: true });
+  if (from && to && from > to) {
+    throw new AppError("from must be on or before to.", 400);
+  }
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+
+  if (query.search && String(query.search).trim()) {
+    filter.$or = await searchConditions(String(query.search));
+  }
+
+  // Counts by status ignore the status filter, so every tab shows its count
+  const countFilter = { ...filter };
+  const statuses = readList(query.status, ORDER_STATUSES, "status");
+  if (statuses) filter.status = { $in: statuses };
+
+  const sortBy = query.sortBy || "createdAt";
+  if (!ORDER_SORT_FIELDS.includes(sortBy)) {
+    throw new AppError(
+      `Orders can be sorted by: ${ORDER_SORT_FIELDS.join(", ")}.`,
+      400,
+    );
+  }
+  // _id breaks ties so pages don't overlap
+  const direction = query.sortOrder === "asc" ? 1 : -1;
+  const sort = { [sortBy]: direction, _id: direction };
+
+  const page = Math.max(Number.parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(Number.parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+
+  return { filter, countFilter, sort, page, limit };
+};
+
+// { processing: 12, shipped: 4, ... } with every status present
+export const countOrdersByStatus = async (filter) => {
+  const groups = await Order.aggregate([
+    { $match: filter },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const counts = Object.fromEntries(
+    ORDER_STATUSES.map((status) => [status, 0]),
+  );
+  for (const group of groups) counts[group._id] = group.count;
+  return counts;
+};
@@ -0,0 +1,142 @@
+// utils/orderPlacement.js
+import mongoose from "mongoose";
+import Order from "../models/order.js";
+import Cart from "../models/cart.js";
+import AppError from "./appError.js";
+import { reserveStock, releaseOrderStock } from "./inventory.js";
+import { redeemCoupon, releaseCouponRedemption } from "./coupons.js";
+import { calculateOrderTax } from "./tax.js";
+import { isSameLine } from "./pricing.js";
+
+/**
+ * Takes an order's items out of the user's saved cart: each line loses the
+ * quantity ordered and is dropped once nothing is left. Items added to the
+ * cart that weren't ordered stay.
+ */
+export const removeOrderedItemsFromCart = async (order, { session } = {}) => {
+  const cart = await Cart.findOne({
+    user: order.userId._id || order.userId,
+  }).session(session || null);
+  if (!cart) return;
+
+  for (const orderItem of order.items) {
+    const line = cart.items.find((item) => isSameLine(item, orderItem));
+    if (line) line.quantity -= orderItem.quantity;
+  }
+  cart.items = cart.items.filter((item) => item.quantity > 0);
+  await cart.save({ session });
+};
+
+/**
+ * Creates an order from server-side pricing (see priceOrder). Reserving
+ * stock, redeeming the coupon, creating the order and (with removeFromCart)
+ * taking the items out of the user's cart run in one MongoDB transaction,
+ * so either all of them happen or none do. Transactions need MongoDB to run
+ * as a replica set. The GST breakdown is worked out from the shipping state.
+ */
+export const placeOrder = async (
+  orderData,
+  pricing,
+  { removeFromCart = false } = {},
+) =>
+  mongoose.connection.transaction(async (session) => {
+    const { items, tax } = calculateOrderTax(
+      pricing,
+      orderData.shippingAddress,
+    );
+    await reserveStock(pricing.items, { session });
+    if (pricing.coupon) {
+      // Also rechecks the per-user limit against concurrent checkouts
+      await redeemCoupon(pricing.coupon.couponId, {
+        session,
+        userId: orderData.userId,
+      });
+    }
+
+    const [order] = await Order.create(
+      [
+        {
+          ...orderData,
+          items,
+          subtotal: pricing.subtotal,
+          discount: pricing.discount,
+          shippingCharge: pricing.shippingCharge,
+          tax,
+          total: pricing.total,
+          stockReserved: true,
+          ...(pricing.coupon && {
+            coupon: { ...pricing.coupon, redeemed: true },
+          }),
+        },
+      ],
+      { session },
+    );
+
+    if (removeFromCart) {
+      await removeOrderedItemsFromCart(order, { session });
+    }
+    return order;
+  });
+
+/**
+ * Saves an order whose payment has just been settled (paid online, or
+ * switched to COD) and takes its items out of the user's cart, in one
+ * transaction.
+ */
+export const saveSettledOrder = async (order) =>
+  mongoose.connection.transaction(async (session) => {
+    await order.save({ session });
+    await removeOrderedItemsFromCart(order, { session });
+  });
+
+// Returns the stock and coupon use held by an order that will not be fulfilled
+export const releaseOrderHolds = async (order) => {
+  await releaseOrderStock(order);
+  await releaseCouponRedemption(order);
+};
+
+/**
+ * Takes the stock and coupon use back for an order whose holds were released
+ * (e.g. after a failed payment) and that is being given another go.
+ * stockReserved is claimed with a conditional update first, so two
+ * concurrent retries can't both reserve. Throws a 409 when stock or the
+ * coupon is no longer available; the order is then left without holds.
+ */
+export const reinstateOrderHolds = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockReserved: false },
+    { $set: { stockReserved: true } },
+  );
+  if (!claimed) {
+    throw new AppError("This order is already being processed.", 409);
+  }
+  try {
+    await reserveStock(order.items);
+  } catch (error) {
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { stockReserved: false } },
+    );
+    throw error;
+  }
+  order.stockReserved = true;
+
+  if (order.coupon?.couponId && !order.coupon.redeemed) {
+    try {
+      // The usage limits are checked again; the order keeps its discount.
+      // The customer may have used the coupon on another order meanwhile.
+      await redeemCoupon(order.coupon.couponId, {
+        userId: order.userId._id || order.userId,
+        excludeOrderId: order._id,
+      });
+    } catch (error) {
+      await releaseOrderStock(order);
+      throw error;
+    }
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { "coupon.redeemed": true } },
+    );
+    order.coupon.redeemed = true;
+  }
+};
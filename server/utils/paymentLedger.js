@@ -0,0 +1,35 @@
+// utils/paymentLedger.js
+import PaymentTransaction from "../models/paymentTransaction.js";
+
+/**
+ * Adds an entry to the PaymentTransaction ledger. A PaymentResult (see
+ * utils/gateways) can be passed as `result`; its fields fill in whatever the
+ * entry doesn't set itself.
+ *
+ * The ledger is an audit trail, so a failed write is logged and never
+ * interrupts the payment flow that triggered it.
+ */
+export const recordPaymentTransaction = async ({ result = {}, ...entry }) => {
+  // Fields the caller left undefined fall back to the result's
+  const fields = Object.fromEntries(
+    Object.entries(entry).filter(([, value]) => value !== undefined),
+  );
+  try {
+    return await PaymentTransaction.create({
+      status: result.status,
+      merchantTransactionId: result.merchantTransactionId,
+      gatewayTransactionId: result.gatewayTransactionId,
+      amount: result.amount,
+      code: result.code,
+      message: result.message,
+      raw: result.raw,
+      ...fields,
+    });
+  } catch (error) {
+    console.error(
+      `Failed to record ${entry.type} payment transaction for Order ${entry.order}:`,
+      error,
+    );
+    return null;
+  }
+};
@@ -0,0 +1,245 @@
+// utils/paymentResults.js
+import Order from "../models/order.js";
+import { releaseOrderHolds, saveSettledOrder } from "./orderPlacement.js";
+import { roundCurrency } from "./pricing.js";
+import { refundOrderPayment } from "./refunds.js";
+import {
+  sendOrderConfirmation,
+  sendOrderNotificationToAdmin,
+  sendOrderStatusUpdateEmail,
+  sendPaymentAlertToAdmin,
+} from "./email.js";
+
+// Statuses of an order being fulfilled; a payment arriving for one is kept
+const FULFILLING_STATUSES = ["processing", "shipped", "delivered", "completed"];
+
+// Confirmation to the customer and notification to admin, once per paid order
+const sendPaidOrderEmails = async (orderId) => {
+  try {
+    // Populate details needed for email templates
+    const populatedOrder = await Order.findById(orderId).populate([
+      { path: "userId", select: "email name" },
+      { path: "items.productId", select: "name image" },
+    ]);
+
+    if (populatedOrder) {
+      await Promise.allSettled([
+        sendOrderConfirmation(populatedOrder.userId.email, populatedOrder),
+        sendOrderNotificationToAdmin(populatedOrder),
+      ]);
+      console.log(`Emails queued for successful order ${orderId}`);
+    } else {
+      console.error(
+        `Failed to re-populate order ${orderId} for sending emails.`,
+      );
+    }
+  } catch (emailError) {
+    console.error(
+      `Error sending emails for Order ${orderId} after successful payment:`,
+      emailError,
+    );
+  }
+};
+
+// Tells the customer their payment failed or is being checked; failures are logged
+export const sendPaymentStatusEmail = async (orderId) => {
+  try {
+    const order = await Order.findById(orderId).populate("userId", "email");
+    if (order?.userId) {
+      await sendOrderStatusUpdateEmail(order.userId.email, order);
+    }
+  } catch (emailError) {
+    console.error(
+      `Failed to send payment status update email for Order ${orderId}:`,
+      emailError,
+    );
+  }
+};
+
+// Refunds a payment that arrived for an order that will no longer be
+// fulfilled (cancelled, or expired as payment_failed) and emails the admin
+// the outcome, so a failed refund can be retried from the order
+const refundUnfulfillableOrder = async (order) => {
+  let outcome;
+  try {
+    const refund = await refundOrderPayment(order, {
+      amount: roundCurrency(order.total - order.getRefundedAmount()),
+      reason: "cancellation",
+    });
+    console.log(
+      `Refund ${refund.merchantRefundId} for ${order.status} Order ${order._id} is ${refund.state}.`,
+    );
+    outcome =
+      refund.state === "failed"
+        ? `The automatic refund failed (${refund.message}). Please retry it from the order.`
+        : `It is being refunded automatically (refund ${refund.merchantRefundId}, ${refund.state}).`;
+  } catch (refundError) {
+    console.error(
+      `Could not refund the payment for ${order.status} Order ${order._id}. Needs a manual refund:`,
+      refundError,
+    );
+    outcome = `The automatic refund could not be started (${refundError.message}). Please refund it from the order.`;
+  }
+  await sendPaymentAlertToAdmin(order, {
+    heading: `Payment received for a ${order.status} order`,
+    message: `${order.paymentGateway} payment ${order.gatewayTransactionId} of ₹${order.total} completed after the order became ${order.status}. ${outcome}`,
+  });
+};
+
+// Refunds a superseded attempt that was paid after the customer retried;
+// the admin is emailed when the refund can't be made
+const refundLatePaidAttempt = async (order, attempt) => {
+  let problem;
+  try {
+    const refund = await refundOrderPayment(order, {
+      amount: attempt.amount,
+      reason: "duplicate_payment",
+      attempt,
+    });
+    console.log(
+      `Refund ${refund.merchantRefundId} of late payment ${attempt.merchantTransactionId} for Order ${order._id} is ${refund.state}.`,
+    );
+    if (refund.state === "failed") problem = refund.message;
+  } catch (refundError) {
+    console.error(
+      `Could not refund late payment ${attempt.merchantTransactionId} for Order ${order._id}:`,
+      refundError,
+    );
+    problem = refundError.message;
+  }
+  if (problem) {
+    await sendPaymentAlertToAdmin(order, {
+      heading: "Duplicate payment needs a refund",
+      message: `Payment attempt ${attempt.merchantTransactionId} (${attempt.gatewayTransactionId}) of ₹${attempt.amount} was completed after the customer retried, and the automatic refund failed: ${problem}. Refund it from the order with merchantTransactionId ${attempt.merchantTransactionId}.`,
+    });
+  }
+};
+
+/**
+ * Applies a gateway PaymentResult (see utils/gateways) to an order awaiting
+ * payment. The same logic handles the server-to-server callback and the
+ * status check; `source` names which one it was, for logs and the status
+ * history.
+ *
+ * Returns "paid", "failed", "pending" (no change yet) or "ignored" when the
+ * order's payment was already settled.
+ */
+export const applyPaymentResult = async (order, result, { source }) => {
+  const gatewayLabel = order.paymentGateway || "gateway";
+
+  // An attempt the customer has since replaced with a retry (or COD)
+  const supersededAttempt = order.paymentAttempts?.find(
+    (attempt) => attempt.merchantTransactionId === result.merchantTransactionId,
+  );
+  if (supersededAttempt) {
+    if (
+      result.status === "success" &&
+      supersededAttempt.outcome !== "paid_late"
+    ) {
+      // The customer has paid twice: give this one back
+      supersededAttempt.outcome = "paid_late";
+      supersededAttempt.gatewayTransactionId = result.gatewayTransactionId;
+      supersededAttempt.amount = roundCurrency(result.amount);
+      await order.save();
+      console.warn(
+        `Order ${order._id}: superseded attempt ${result.merchantTransactionId} reports payment ${result.gatewayTransactionId} COMPLETED via ${source}. Refunding it.`,
+      );
+      await refundLatePaidAttempt(order, supersededAttempt);
+      return "paid";
+    }
+    return "ignored";
+  }
+
+  // Money arrived after we gave up on the payment (e.g. it was expired and
+  // its stock released). Record it and give it back, as for cancelled orders.
+  if (order.paymentStatus === "failed" && result.status === "success") {
+    order.paymentStatus = "paid";
+    order.gatewayTransactionId = result.gatewayTransactionId;
+    await order.save();
+    console.warn(
+      `Order ${order._id} is ${order.status} but ${gatewayLabel} reports payment ${result.gatewayTransactionId} COMPLETED via ${source}. Refunding it.`,
+    );
+    await refundUnfulfillableOrder(order);
+    return "paid";
+  }
+
+  // Idempotency: a settled payment is never reprocessed
+  if (order.paymentStatus !== "pending") {
+    console.log(
+      `Order ${order._id} (MTID: ${order.merchantTransactionId}) already processed with status ${order.paymentStatus}. Ignoring ${source}.`,
+    );
+    return "ignored";
+  }
+
+  const { gatewayTransactionId, code, message } = result;
+
+  if (result.status === "success") {
+    console.log(
+      `Payment SUCCESS for Order ${order._id} (MTID: ${order.merchantTransactionId}) via ${source}`,
+    );
+
+    const paymentAmount = roundCurrency(result.amount); // Amount in Rupees
+
+    let nextStatus = "processing"; // Move to fulfillment
+    let note = `${gatewayLabel} payment ${gatewayTransactionId} completed (${source})`;
+    if (paymentAmount !== roundCurrency(order.total)) {
+      console.warn(
+        `Amount Mismatch for Order ${order._id}. Expected ${order.total}, received ${paymentAmount}. Flagging.`,
+      );
+      nextStatus = "payment_issue"; // It was paid, but amount is wrong
+      note = `Amount mismatch: expected ${order.total}, received ${paymentAmount} (${source})`;
+    }
+    order.paymentStatus = "paid";
+    order.gatewayTransactionId = gatewayTransactionId;
+    if (FULFILLING_STATUSES.includes(order.status)) {
+      // Already on its way (moved on before the callback): just record the payment
+      console.warn(
+        `Order ${order._id} is already ${order.status}; recording the payment without changing its status.`,
+      );
+      await saveSettledOrder(order);
+      return "paid";
+    }
+    if (!order.canTransitionTo(nextStatus)) {
+      // e.g. an admin cancelled the order while the payment was in flight:
+      // nothing will ship, so no confirmation or invoice; give the money back
+      console.warn(
+        `Order ${order._id} is ${order.status}; not moving it to ${nextStatus} after payment. Refunding it.`,
+      );
+      await order.save();
+      await refundUnfulfillableOrder(order);
+      return "paid";
+    }
+    order.transitionTo(nextStatus, { actor: "payment_gateway", note });
+    await saveSettledOrder(order); // Also takes the paid items out of the cart
+    await sendPaidOrderEmails(order._id);
+    if (order.status === "payment_issue") {
+      await sendPaymentStatusEmail(order._id);
+    }
+    return "paid";
+  }
+
+  // Not found means the customer never reached the pay page yet
+  if (result.status === "pending" || result.status === "not_found") {
+    console.log(
+      `Payment still PENDING for Order ${order._id} (MTID: ${order.merchantTransactionId}) via ${source}.`,
+    );
+    return "pending";
+  }
+
+  console.warn(
+    `Payment FAILED for Order ${order._id} (MTID: ${order.merchantTransactionId}) via ${source}. Code: ${code}, Message: ${message}`,
+  );
+  const markFailed = order.canTransitionTo("payment_failed");
+  if (markFailed) {
+    order.transitionTo("payment_failed", {
+      actor: "payment_gateway",
+      note: `${code}${message ? `: ${message}` : ""} (${source})`,
+    });
+  }
+  order.paymentStatus = "failed";
+  if (gatewayTransactionId) order.gatewayTransactionId = gatewayTransactionId; // Store ID even on failure
+  await order.save();
+  await releaseOrderHolds(order); // Unpaid order no longer holds stock or coupon uses
+  if (markFailed) await sendPaymentStatusEmail(order._id);
+  return "failed";
+};
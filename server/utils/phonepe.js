@@ -1,10 +1,18 @@
 // utils/phonepe.js
 import crypto from "crypto";
+import axios from "axios";
+import { Buffer } from "buffer";
 import { v4 as uuidv4 } from "uuid"; // Example for generating unique IDs
 
 // Replace with actual logic from PhonePe documentation
-export const calculateChecksum = (payloadBase64, saltKey, saltIndex) => {
-  const stringToHash = payloadBase64 + "/pg/v1/pay" + saltKey; // Example endpoint path, adjust as needed
+// apiPath is the endpoint being called, e.g. /pg/v1/pay or /pg/v1/refund
+export const calculateChecksum = (
+  payloadBase64,
+  saltKey,
+  saltIndex,
+  apiPath = "/pg/v1/pay",
+) => {
+  const stringToHash = payloadBase64 + apiPath + saltKey;
   const sha256 = crypto.createHash("sha256").update(stringToHash).digest("hex");
   return `${sha256}###${saltIndex}`;
 };
@@ -19,7 +27,7 @@ export const verifyChecksum = (
   // String format specific to CALLBACK verification (Check PhonePe Docs!)
   const stringToHash = payloadBase64 + saltKey; // Usually NO API path here
   const sha256 = crypto.createHash("sha256").update(stringToHash).digest("hex");
-  const expectedChecksum = `<span class="math-inline">\{sha256\}\#\#\#</span>{saltIndex}`;
+  const expectedChecksum = `${sha256}###${saltIndex}`;
   console.log("Expected Callback Checksum:", expectedChecksum); // Log for debugging
   console.log("Received Callback Checksum:", receivedChecksum);
   return expectedChecksum === receivedChecksum;
@@ -29,3 +37,129 @@ export const generateMerchantTransactionId = () => {
   // Generate a unique ID, e.g., using UUID
   return `MT_${uuidv4().replace(/-/g, "")}`; // Example format
 };
+
+/**
+ * Calls PhonePe's pay API to start a PAY_PAGE payment. Amounts are in
+ * rupees. Resolves with PhonePe's response body; network and HTTP errors
+ * are thrown as axios errors.
+ */
+export const requestPhonePePayment = async ({
+  merchantTransactionId,
+  merchantUserId,
+  amount,
+  mobileNumber,
+}) => {
+  const paymentData = {
+    merchantId: process.env.PHONEPE_MERCHANT_ID,
+    merchantTransactionId: merchantTransactionId,
+    merchantUserId,
+    amount: Math.round(amount * 100), // Ensure amount is integer (paise)
+    redirectUrl: `${process.env.PHONEPE_REDIRECT_URL}?mtid=${merchantTransactionId}`, // Pass mtid back
+    redirectMode: "POST",
+    callbackUrl: process.env.PHONEPE_CALLBACK_URL,
+    mobileNumber: mobileNumber.replace(/[^0-9]/g, "").slice(-10), // Clean phone number if needed
+    paymentInstrument: { type: "PAY_PAGE" },
+  };
+
+  const payloadBase64 = Buffer.from(JSON.stringify(paymentData)).toString(
+    "base64",
+  );
+  const checksum = calculateChecksum(
+    payloadBase64,
+    process.env.PHONEPE_SALT_KEY,
+    process.env.PHONEPE_SALT_INDEX,
+  );
+
+  console.log("Calling PhonePe Pay API...");
+  const response = await axios.request({
+    method: "POST",
+    url: process.env.PHONEPE_PAY_API_URL,
+    headers: {
+      accept: "application/json",
+      "Content-Type": "application/json",
+      "X-VERIFY": checksum,
+    },
+    data: { request: payloadBase64 },
+  });
+  console.log("PhonePe Response Status:", response.status);
+  return response.data;
+};
+
+// Refund IDs share the merchant transaction namespace, so prefix them distinctly
+export const generateMerchantRefundId = () => {
+  return `RF_${uuidv4().replace(/-/g, "")}`;
+};
+
+/**
+ * Calls PhonePe's refund API for (part of) a completed payment.
+ * Amounts are in rupees. Resolves with PhonePe's response body; network
+ * and HTTP errors are thrown as axios errors for the caller to record.
+ */
+export const requestPhonePeRefund = async ({
+  originalTransactionId,
+  merchantRefundId,
+  merchantUserId,
+  amount,
+}) => {
+  const refundData = {
+    merchantId: process.env.PHONEPE_MERCHANT_ID,
+    merchantUserId,
+    originalTransactionId,
+    merchantTransactionId: merchantRefundId,
+    amount: Math.round(amount * 100), // Paise
+    callbackUrl: process.env.PHONEPE_REFUND_CALLBACK_URL,
+  };
+
+  const payloadBase64 = Buffer.from(JSON.stringify(refundData)).toString(
+    "base64",
+  );
+  const checksum = calculateChecksum(
+    payloadBase64,
+    process.env.PHONEPE_SALT_KEY,
+    process.env.PHONEPE_SALT_INDEX,
+    "/pg/v1/refund",
+  );
+
+  const response = await axios.request({
+    method: "POST",
+    url: process.env.PHONEPE_REFUND_API_URL,
+    headers: {
+      accept: "application/json",
+      "Content-Type": "application/json",
+      "X-VERIFY": checksum,
+    },
+    data: { request: payloadBase64 },
+  });
+  return response.data;
+};
+
+/**
+ * Asks PhonePe for the current state of a payment. Resolves with the
+ * decoded response, which has the same shape as the server-to-server
+ * callback ({ success, code, message, data }). 4xx answers such as
+ * TRANSACTION_NOT_FOUND are returned rather than thrown.
+ */
+export const checkPhonePeTransactionStatus = async (merchantTransactionId) => {
+  const merchantId = process.env.PHONEPE_MERCHANT_ID;
+  const apiPath = `/pg/v1/status/${merchantId}/${merchantTransactionId}`;
+  // The status checksum covers only the path, there is no payload
+  const checksum = calculateChecksum(
+    "",
+    process.env.PHONEPE_SALT_KEY,
+    process.env.PHONEPE_SALT_INDEX,
+    apiPath,
+  );
+
+  const response = await axios.request({
+    method: "GET",
+    url: `${process.env.PHONEPE_STATUS_API_URL}/${merchantId}/${merchantTransactionId}`,
+    headers: {
+      accept: "application/json",
+      "Content-Type": "application/json",
+      "X-VERIFY": checksum,
+      "X-MERCHANT-ID": merchantId,
+    },
+    validateStatus: (status) => status < 500,
+  });
+  return response.data;
+};
@@ -0,0 +1,228 @@
+// utils/pincodeDirectory.js
+import Pincode from "../models/pincode.js";
+import AppError from "./appError.js";
+
+// Indian pincodes: six digits, never starting with 0
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+// Pincodes written to the database per bulkWrite during an import
+const IMPORT_BATCH_SIZE = 500;
+// Bad rows listed in the import summary; the rest are only counted
+const MAX_REPORTED_ERRORS = 50;
+
+export const isValidPincode = (pincode) =>
+  PINCODE_PATTERN.test(String(pincode ?? "").trim());
+
+export const findPincode = (pincode) =>
+  Pincode.findOne({ pincode: String(pincode ?? "").trim() });
+
+// Header names accepted for each field, compared without case or punctuation
+const COLUMN_ALIASES = {
+  pincode: ["pincode", "pin"],
+  city: ["city", "town", "officename", "taluk"],
+  district: ["district", "districtname"],
+  state: ["state", "statename"],
+  deliverable: ["deliverable", "serviceable"],
+  codAvailable: ["codavailable", "cod"],
+};
+const REQUIRED_COLUMNS = ["pincode", "district", "state", "deliverable"];
+
+// Splits CSV text into rows of cells. Handles quoted cells, "" escapes and
+// CRLF line endings; blank lines are dropped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+// Maps each field to its column index; throws a 400 if a required one is missing
+const mapColumns = (header) => {
+  const normalized = header.map((name) =>
+    name.toLowerCase().replace(/[^a-z]/g, ""),
+  );
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = normalized.findIndex((name) => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+  const missing = REQUIRED_COLUMNS.filter((field) => !(field in columns));
+  if (missing.length > 0) {
+    throw new AppError(
+      `The CSV file is missing these columns: ${missing.join(", ")}.`,
+      400,
+    );
+  }
+  return columns;
+};
+
+// yes/no, true/false, y/n or 1/0; blank gives `fallback`, anything else null
+const parseFlag = (value, fallback) => {
+  const flag = value.toLowerCase();
+  if (flag === "") return fallback;
+  if (["yes", "y", "true", "1"].includes(flag)) return true;
+  if (["no", "n", "false", "0"].includes(flag)) return false;
+  return null;
+};
+
+/**
+ * Adds or updates directory entries from CSV text. The header row names the
+ * columns: pincode, district, state and deliverable are required; city and
+ * codAvailable are optional (a blank codAvailable follows deliverable). When
+ * a pincode appears on several rows the last one wins. Rows with errors are
+ * skipped and reported; the rest are imported.
+ */
+export const importPincodeCsv = async (csvText) => {
+  const [header, ...rows] = parseCsv(String(csvText ?? ""));
+  if (!header) {
+    throw new AppError("The CSV file is empty.", 400);
+  }
+  const columns = mapColumns(header);
+
+  const entries = new Map();
+  const errors = [];
+  rows.forEach((cells, index) => {
+    const line = index + 2; // 1-based, after the header
+    const read = (field) =>
+      columns[field] === undefined ? "" : (cells[columns[field]] ?? "").trim();
+
+    const pincode = read("pincode");
+    const district = read("district");
+    const state = read("state");
+    const deliverable = parseFlag(read("deliverable"), null);
+    const codAvailable = parseFlag(read("codAvailable"), deliverable);
+    let problem = null;
+    if (!isValidPincode(pincode)) problem = `invalid pincode "${pincode}"`;
+    else if (!district || !state) problem = "district and state are required";
+    else if (deliverable === null) problem = "deliverable must be yes or no";
+    else if (codAvailable === null) problem = "codAvailable must be yes or no";
+    if (problem) {
+      errors.push({ line, message: problem });
+      return;
+    }
+
+    entries.set(pincode, {
+      pincode,
+      city: read("city") || undefined,
+      district,
+      state,
+      deliverable,
+      codAvailable: deliverable && codAvailable,
+    });
+  });
+
+  const operations = [...entries.values()].map((entry) => ({
+    updateOne: {
+      filter: { pincode: entry.pincode },
+      update: { $set: entry },
+      upsert: true,
+    },
+  }));
+  let created = 0;
+  let updated = 0;
+  for (let i = 0; i < operations.length; i += IMPORT_BATCH_SIZE) {
+    const result = await Pincode.bulkWrite(
+      operations.slice(i, i + IMPORT_BATCH_SIZE),
+      { ordered: false },
+    );
+    created += result.upsertedCount;
+    updated += result.matchedCount;
+  }
+
+  return {
+    rows: rows.length,
+    created,
+    updated,
+    skipped: errors.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS),
+  };
+};
+
+// Throws a 400 unless cash on delivery is offered at this directory entry
+const assertCodAvailableAt = (entry) => {
+  if (!entry.codAvailable) {
+    throw new AppError(
+      `Cash on delivery is not available for pincode ${entry.pincode}. Please pay online.`,
+      400,
+    );
+  }
+};
+
+// Checks that an existing order's pincode still offers cash on delivery
+export const assertCodAvailable = async (pincode) => {
+  const entry = await findPincode(pincode);
+  if (!entry || !entry.deliverable) {
+    throw new AppError(`Sorry, we don't deliver to pincode ${pincode}.`, 400);
+  }
+  assertCodAvailableAt(entry);
+};
+
+/**
+ * Checks an order's shipping address against the directory and returns a
+ * copy with the directory's district and state. Throws a 400 when we don't
+ * deliver to the pincode, the state given doesn't match it, or the payment
+ * method is cod and cash on delivery isn't offered there.
+ */
+export const validateShippingAddress = async (
+  address,
+  { paymentMethod } = {},
+) => {
+  const pincode = String(address?.pincode ?? "").trim();
+  if (!isValidPincode(pincode)) {
+    throw new AppError("Please enter a valid 6-digit pincode.", 400);
+  }
+
+  const entry = await findPincode(pincode);
+  if (!entry || !entry.deliverable) {
+    throw new AppError(
+      `Sorry, we don't deliver to pincode ${pincode} yet.`,
+      400,
+    );
+  }
+  if (
+    address.state &&
+    String(address.state).trim().toLowerCase() !== entry.state.toLowerCase()
+  ) {
+    throw new AppError(
+      `Pincode ${pincode} is in ${entry.state}, not ${address.state}.`,
+      400,
+    );
+  }
+  if (paymentMethod === "cod") assertCodAvailableAt(entry);
+
+  return {
+    ...address,
+    pincode,
+    district: entry.district,
+    state: entry.state,
+  };
+};
@@ -0,0 +1,236 @@
+// utils/pricing.js
+import mongoose from "mongoose";
+import Product from "../models/product.js";
+import AppError from "./appError.js";
+import { evaluateCoupon } from "./coupons.js";
+import { shippingDestination, calculateShippingCharge } from "./shipping.js";
+
+// Amounts are stored in rupees; keep everything rounded to paise
+export const roundCurrency = (amount) =>
+  Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+
+// Most units of one product (or pack size) a single order may contain
+export const maxLineQuantity = () =>
+  Number(process.env.MAX_ITEM_QUANTITY) || 50;
+
+// Identifies one purchasable line: a product, or one pack size of it
+export const lineKey = (productId, variantId) =>
+  variantId ? `${productId}:${variantId}` : `${productId}`;
+
+// Whether two cart or order lines are the same product in the same pack size
+// (variantId is absent for products without variants)
+export const isSameLine = (a, b) =>
+  lineKey(a.productId, a.variantId) === lineKey(b.productId, b.variantId);
+
+/**
+ * Builds the authoritative price breakdown for a list of requested items.
+ * Only productId, variantId and quantity are read from the client; prices
+ * always come from the Product collection. Shipping is charged by the
+ * shipping rules for `shippingAddress` (see utils/shipping.js).
+ */
+export const priceOrderItems = async (
+  requestedItems,
+  { shippingAddress } = {},
+) => {
+  const destination = shippingDestination(shippingAddress);
+
+  if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+    throw new AppError("Order must contain at least one item.", 400);
+  }
+
+  // Merge duplicate lines for the same product and pack size
+  const lines = new Map();
+  for (const item of requestedItems) {
+    const productId = item?.productId?._id || item?.productId;
+    const variantId = item?.variantId?._id || item?.variantId;
+    const quantity = Number(item?.quantity);
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      throw new AppError("Each order item must have a valid product ID.", 400);
+    }
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      throw new AppError(`Invalid variant ID: ${variantId}`, 400);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError(
+        "Each order item must have a whole-number quantity of at least 1.",
+        400,
+      );
+    }
+    const key = lineKey(productId, variantId);
+    const existing = lines.get(key);
+    lines.set(key, {
+      productId: productId.toString(),
+      variantId: variantId?.toString(),
+      quantity: (existing?.quantity || 0) + quantity,
+    });
+  }
+
+  const maxQuantity = maxLineQuantity();
+  if ([...lines.values()].some((line) => line.quantity > maxQuantity)) {
+    throw new AppError(
+      `You can order at most ${maxQuantity} units of each item.`,
+      400,
+    );
+  }
+
+  const productIds = [...new Set([...lines.values()].map((l) => l.productId))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const items = [];
+  let weightGrams = 0;
+  for (const { productId, variantId, quantity } of lines.values()) {
+    const product = productsById.get(productId);
+    if (!product) {
+      throw new AppError(
+        `Product ${productId} is no longer available. Please update your cart.`,
+        400,
+      );
+    }
+
+    // Products sold in pack sizes are priced per variant
+    let priceSource = product;
+    let variant = null;
+    if (product.variants?.length > 0) {
+      variant = product.findVariant(variantId);
+      if (!variant) {
+        throw new AppError(
+          `Please choose an available pack size for ${product.name.en}.`,
+          400,
+        );
+      }
+      priceSource = variant;
+    } else if (variantId) {
+      throw new AppError(
+        `${product.name.en} is not sold in multiple pack sizes.`,
+        400,
+      );
+    }
+
+    const price = roundCurrency(priceSource.discountedPrice);
+    // Products without a weight ship as weightless
+    weightGrams +=
+      (variant?.weightGrams ?? product.weightGrams ?? 0) * quantity;
+    items.push({
+      productId: product._id,
+      ...(variant && {
+        variantId: variant._id,
+        sku: variant.sku,
+        sizeLabel: variant.sizeLabel,
+      }),
+      category: product.category, // Used by coupon restrictions
+      hsnCode: product.hsnCode,
+      gstRate: product.gstRate || 0,
+      quantity,
+      mrp: roundCurrency(priceSource.price),
+      price,
+      lineTotal: roundCurrency(price * quantity),
+    });
+  }
+
+  const subtotal = roundCurrency(
+    items.reduce((sum, item) => sum + item.lineTotal, 0),
+  );
+  const shipping = await calculateShippingCharge({
+    subtotal,
+    weightGrams,
+    destination,
+  });
+  const shippingCharge = roundCurrency(shipping.charge);
+  const total = roundCurrency(subtotal + shippingCharge);
+
+  return {
+    items,
+    subtotal,
+    discount: 0,
+    shippingCharge,
+    total,
+    weightGrams,
+    shippingRule: shipping.rule,
+  };
+};
+
+/**
+ * Prices the items and, when a coupon code is given, validates it and
+ * deducts its discount. Shipping is worked out on the undiscounted subtotal.
+ */
+export const priceOrder = async ({
+  items,
+  couponCode,
+  userId,
+  shippingAddress,
+}) => {
+  const pricing = await priceOrderItems(items, { shippingAddress });
+  if (!couponCode) return pricing;
+  return applyCoupon(pricing, { couponCode, userId });
+};
+
+// Validates the coupon against priced items and deducts its discount
+export const applyCoupon = async (pricing, { couponCode, userId }) => {
+  const { coupon, discount } = await evaluateCoupon(couponCode, {
+    userId,
+    items: pricing.items,
+    subtotal: pricing.subtotal,
+  });
+
+  pricing.discount = roundCurrency(discount);
+  pricing.coupon = {
+    couponId: coupon._id,
+    code: coupon.code,
+    discountType: coupon.discountType,
+    discountValue: coupon.discountValue,
+  };
+  pricing.total = roundCurrency(
+    pricing.subtotal - pricing.discount + pricing.shippingCharge,
+  );
+  return pricing;
+};
+
+/**
+ * Compares what the client displayed against the server pricing. Any
+ * difference means the cart is stale (or tampered with), so the order is
+ * rejected and the client is asked to refresh.
+ */
+export const assertClientPricingMatches = (clientOrder, pricing) => {
+  const mismatches = [];
+
+  if (Array.isArray(clientOrder.items)) {
+    for (const clientItem of clientOrder.items) {
+      if (clientItem?.price === undefined) continue;
+      const productId = clientItem.productId?._id || clientItem.productId;
+      const variantId = clientItem.variantId?._id || clientItem.variantId;
+      const key = lineKey(productId, variantId);
+      const serverItem = pricing.items.find(
+        (item) => lineKey(item.productId, item.variantId) === key,
+      );
+      if (serverItem && roundCurrency(clientItem.price) !== serverItem.price) {
+        mismatches.push(
+          `price of ${serverItem.sku || `product ${productId}`} is ${serverItem.price}, not ${clientItem.price}`,
+        );
+      }
+    }
+  }
+
+  if (
+    clientOrder.shippingCharge !== undefined &&
+    roundCurrency(clientOrder.shippingCharge) !== pricing.shippingCharge
+  ) {
+    mismatches.push(
+      `shipping charge is ${pricing.shippingCharge}, not ${clientOrder.shippingCharge}`,
+    );
+  }
+
+  if (
+    clientOrder.total !== undefined &&
+    roundCurrency(clientOrder.total) !== pricing.total
+  ) {
+    mismatches.push(`total is ${pricing.total}, not ${clientOrder.total}`);
+  }
+
+  if (mismatches.length > 0) {
+    throw new AppError(
+      `Order pricing has changed: ${mismatches.join("; ")}. Please refresh your cart and try again.`,
+      409,
+    );
+  }
+};
@@ -0,0 +1,161 @@
+// utils/refunds.js
+import AppError from "./appError.js";
+import { roundCurrency } from "./pricing.js";
+import { generateMerchantRefundId } from "./phonepe.js";
+import { getGateway } from "./gateways/index.js";
+import { recordPaymentTransaction } from "./paymentLedger.js";
+
+// Payment states in which money is held that can still be refunded
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+export const isRefundable = (order) =>
+  order.paymentMethod === "online" &&
+  REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus);
+
+// Derives paymentStatus from the completed refunds
+const updateRefundedPaymentStatus = (order) => {
+  const refunded = roundCurrency(
+    order.getRefundedAmount({ includePending: false }),
+  );
+  if (refunded <= 0) return;
+  order.paymentStatus =
+    refunded >= order.total ? "refunded" : "partially_refunded";
+};
+
+/**
+ * Applies a gateway PaymentResult for a refund (from the refund API response
+ * or the refund callback) to a refund entry. Completed and failed refunds
+ * are final and are not changed again.
+ */
+export const applyRefundResult = (
+  order,
+  refund,
+  { status, gatewayTransactionId, code, message },
+) => {
+  if (refund.state !== "pending") return false;
+
+  if (gatewayTransactionId) refund.gatewayRefundId = gatewayTransactionId;
+  refund.responseCode = code;
+  refund.message = message;
+
+  if (status === "success") {
+    refund.state = "completed";
+    refund.completedAt = new Date();
+  } else if (status === "failed" || status === "not_found") {
+    refund.state = "failed";
+  }
+  updateRefundedPaymentStatus(order);
+  return true;
+};
+
+// The superseded attempt with this merchantTransactionId, if it was paid late
+export const findLatePaidAttempt = (order, merchantTransactionId) =>
+  order.paymentAttempts.find(
+    (attempt) =>
+      attempt.merchantTransactionId === merchantTransactionId &&
+      attempt.outcome === "paid_late",
+  );
+
+// What is left to refund of the order's payment, or of a late-paid attempt
+export const refundableAmount = (order, attempt) => {
+  if (!attempt) {
+    return roundCurrency(order.total - order.getRefundedAmount());
+  }
+  // Attempts marked paid_late before amounts were kept paid the total
+  return roundCurrency(
+    (attempt.amount ?? order.total) -
+      order.getRefundedAmount({
+        originalTransactionId: attempt.merchantTransactionId,
+      }),
+  );
+};
+
+/**
+ * Refunds `amount` rupees of an order's online payment through its gateway and
+ * records the attempt on order.refunds. Gateway errors are recorded on the
+ * refund (state "failed") rather than thrown, so a cancellation or return
+ * approval still goes through; an admin can retry from the order.
+ * Saves the order and returns the refund entry.
+ *
+ * Pass `attempt` (see findLatePaidAttempt) to refund a superseded attempt
+ * that was paid late instead: it goes back through that attempt's gateway
+ * and doesn't count towards the order's own refunds.
+ */
+export const refundOrderPayment = async (
+  order,
+  { amount, reason, returnRequestId, initiatedBy, attempt },
+) => {
+  if (!attempt && !isRefundable(order)) {
+    throw new AppError(
+      "This order has no online payment that can be refunded.",
+      400,
+    );
+  }
+
+  const originalTransactionId =
+    attempt?.merchantTransactionId ?? order.merchantTransactionId;
+  const refundAmount = roundCurrency(amount);
+  const remaining = refundableAmount(order, attempt);
+  if (!(refundAmount > 0) || refundAmount > remaining) {
+    throw new AppError(
+      `Refund amount must be between ₹0.01 and ₹${remaining}.`,
+      400,
+    );
+  }
+
+  order.refunds.push({
+    merchantRefundId: generateMerchantRefundId(),
+    originalTransactionId: attempt?.merchantTransactionId,
+    amount: refundAmount,
+    reason,
+    returnRequestId,
+    initiatedBy,
+  });
+  const refund = order.refunds.at(-1);
+  await order.save(); // Record the attempt before calling out
+
+  const gateway = getGateway(attempt?.paymentGateway ?? order.paymentGateway);
+  const ledgerEntry = {
+    order: order._id,
+    gateway: gateway.name,
+    type: "refund",
+    merchantTransactionId: originalTransactionId,
+    merchantRefundId: refund.merchantRefundId,
+  };
+  try {
+    const result = await gateway.refund({
+      originalTransactionId,
+      merchantRefundId: refund.merchantRefundId,
+      userId: order.userId._id,
+      amount: refundAmount,
+    });
+    console.log(
+      `${gateway.label} refund ${refund.merchantRefundId} for Order ${order._id}: ${result.status} (${result.code})`,
+    );
+    await recordPaymentTransaction({ ...ledgerEntry, result });
+    applyRefundResult(order, refund, {
+      ...result,
+      message: result.message || `Refund ${result.status}`,
+    });
+  } catch (error) {
+    // Gateway adapters report refused or unreachable calls as AppErrors
+    if (!error.isOperational) throw error;
+    console.error(
+      `${gateway.label} refund API error for Order ${order._id}:`,
+      error.message,
+    );
+    await recordPaymentTransaction({
+      ...ledgerEntry,
+      status: "error",
+      amount: refundAmount,
+      message: error.message,
+    });
+    applyRefundResult(order, refund, {
+      status: "failed",
+      message: error.message,
+    });
+  }
+
+  await order.save();
+  return refund;
+};
@@ -0,0 +1,107 @@
+// utils/returns.js
+import mongoose from "mongoose";
+import AppError from "./appError.js";
+import { roundCurrency } from "./pricing.js";
+
+// Days after delivery during which a return can be requested
+const returnWindowDays = () => Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// What the customer actually paid for `quantity` units of an order item,
+// after spreading the order's coupon discount across its items
+export const itemRefundValue = (order, item, quantity) => {
+  const gross = item.price * quantity;
+  if (!order.discount || !order.subtotal) return roundCurrency(gross);
+  return roundCurrency(gross - (order.discount * gross) / order.subtotal);
+};
+
+/**
+ * Validates a customer's return request against a delivered order and
+ * returns the data for a new returnRequests entry. Requested items are
+ * `{ itemId, quantity }`, where itemId is the _id of the order line.
+ */
+export const buildReturnRequest = (order, { reason, items }) => {
+  if (order.status !== "delivered") {
+    throw new AppError("Only delivered orders can be returned.", 400);
+  }
+
+  const deliveredAt = order.getDeliveredAt() || order.updatedAt;
+  const windowEnds = new Date(
+    deliveredAt.getTime() + returnWindowDays() * 24 * 60 * 60 * 1000,
+  );
+  if (new Date() > windowEnds) {
+    throw new AppError(
+      `The return window of ${returnWindowDays()} days for this order has closed.`,
+      400,
+    );
+  }
+
+  if (order.returnRequests.some((request) => request.status === "requested")) {
+    throw new AppError(
+      "A return request for this order is already awaiting review.",
+      409,
+    );
+  }
+  if (!reason || !reason.trim()) {
+    throw new AppError("Please provide a reason for the return.", 400);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError("Please choose at least one item to return.", 400);
+  }
+
+  const returnItems = [];
+  for (const requested of items) {
+    const quantity = Number(requested?.quantity);
+    const orderItem =
+      mongoose.isValidObjectId(requested?.itemId) &&
+      order.items.id(requested.itemId);
+    if (!orderItem) {
+      throw new AppError(
+        `Item ${requested?.itemId} is not in this order.`,
+        400,
+      );
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError(
+        "Return quantities must be whole numbers of at least 1.",
+        400,
+      );
+    }
+    if (returnItems.some((item) => item.itemId.equals(orderItem._id))) {
+      throw new AppError("Each item can only be listed once per return.", 400);
+    }
+
+    const returnable =
+      orderItem.quantity - order.getReturnedQuantity(orderItem._id);
+    if (quantity > returnable) {
+      throw new AppError(
+        `Only ${returnable} unit(s) of item ${orderItem._id} can still be returned.`,
+        400,
+      );
+    }
+
+    returnItems.push({
+      itemId: orderItem._id,
+      quantity,
+      amount: itemRefundValue(order, orderItem, quantity),
+    });
+  }
+
+  return {
+    items: returnItems,
+    reason: reason.trim(),
+    amount: roundCurrency(
+      returnItems.reduce((sum, item) => sum + item.amount, 0),
+    ),
+  };
+};
+
+// True once every unit of every item has an approved return
+export const isFullyReturned = (order) =>
+  order.items.every((item) => {
+    const approved = order.returnRequests
+      .filter((request) => request.status === "approved")
+      .flatMap((request) => request.items)
+      .filter((returned) => returned.itemId.equals(item._id))
+      .reduce((sum, returned) => sum + returned.quantity, 0);
+    return approved >= item.quantity;
+  });
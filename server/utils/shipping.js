@@ -0,0 +1,97 @@
+// utils/shipping.js
+import ShippingRule, { SHIPPING_MATCH_TYPES } from "../models/shippingRule.js";
+import AppError from "./appError.js";
+import { isValidPincode, findPincode } from "./pincodeDirectory.js";
+
+/**
+ * Reads the fields shipping rules match on from an address. Returns null
+ * when there is no pincode (e.g. a cart quote before checkout); throws a 400
+ * for a malformed one.
+ */
+export const shippingDestination = (address) => {
+  const pincode = String(address?.pincode ?? "").trim();
+  if (!pincode) return null;
+  if (!isValidPincode(pincode)) {
+    throw new AppError("Please enter a valid 6-digit pincode.", 400);
+  }
+  const normalize = (name) =>
+    typeof name === "string" && name.trim()
+      ? name.trim().toLowerCase()
+      : undefined;
+  return {
+    pincode,
+    district: normalize(address.district),
+    state: normalize(address.state),
+  };
+};
+
+// Pincode prefixes beat districts, districts beat states, and so on;
+// among prefixes the longest wins
+const specificity = (rule) => {
+  const typeRank =
+    SHIPPING_MATCH_TYPES.length - SHIPPING_MATCH_TYPES.indexOf(rule.matchType);
+  const prefixLength =
+    rule.matchType === "pincode_prefix" ? rule.value.length : 0;
+  return typeRank * 10 + prefixLength;
+};
+
+/**
+ * Finds the active rule for a destination: the longest matching pincode
+ * prefix, then the district, then the state, then the default rule. The
+ * district and state come from the pincode directory when it has the
+ * pincode. Returns null when no rule applies.
+ */
+export const findShippingRule = async (destination) => {
+  const conditions = [{ matchType: "default" }];
+  if (destination) {
+    const { pincode } = destination;
+    const entry = await findPincode(pincode);
+    const district = entry?.district.toLowerCase() || destination.district;
+    const state = entry?.state.toLowerCase() || destination.state;
+    const prefixes = [...pincode].map((_, i) => pincode.slice(0, i + 1));
+    conditions.push({ matchType: "pincode_prefix", value: { $in: prefixes } });
+    if (district) conditions.push({ matchType: "district", value: district });
+    if (state) conditions.push({ matchType: "state", value: state });
+  }
+
+  const rules = await ShippingRule.find({ isActive: true, $or: conditions });
+  rules.sort((a, b) => specificity(b) - specificity(a));
+  return rules[0] || null;
+};
+
+// Charge under one rule for a parcel of the given weight and order value
+export const chargeForRule = (rule, { subtotal, weightGrams }) => {
+  if (rule.freeShippingAbove != null && subtotal >= rule.freeShippingAbove) {
+    return 0;
+  }
+  const slabs = [...rule.weightSlabs].sort((a, b) => a.upToGrams - b.upToGrams);
+  const slab = slabs.find((s) => weightGrams <= s.upToGrams);
+  if (slab) return slab.charge;
+
+  const heaviest = slabs[slabs.length - 1];
+  const extraKg = Math.ceil((weightGrams - heaviest.upToGrams) / 1000);
+  return heaviest.charge + extraKg * (rule.extraChargePerKg || 0);
+};
+
+// Used when no rule applies: flat charge, waived above an optional order value
+const fallbackCharge = (subtotal) => {
+  const flatCharge = Number(process.env.SHIPPING_CHARGE) || 0;
+  const freeAbove = Number(process.env.FREE_SHIPPING_THRESHOLD);
+  if (freeAbove && subtotal >= freeAbove) return 0;
+  return flatCharge;
+};
+
+/**
+ * Works out the shipping charge (in rupees, unrounded) for an order going
+ * to `destination` (see shippingDestination). Returns { charge, rule };
+ * rule is null when the SHIPPING_CHARGE fallback was used.
+ */
+export const calculateShippingCharge = async ({
+  subtotal,
+  weightGrams,
+  destination,
+}) => {
+  const rule = await findShippingRule(destination);
+  if (!rule) return { charge: fallbackCharge(subtotal), rule: null };
+  return { charge: chargeForRule(rule, { subtotal, weightGrams }), rule };
+};
@@ -0,0 +1,63 @@
+// utils/tax.js
+import { roundCurrency } from "./pricing.js";
+
+// State we ship from: supplies within it pay CGST + SGST, others IGST
+const homeState = () =>
+  (process.env.GST_HOME_STATE || "Maharashtra").trim().toLowerCase();
+
+export const supplyTypeFor = (state) => {
+  const shipsTo = String(state ?? "")
+    .trim()
+    .toLowerCase();
+  return shipsTo === homeState() ? "intra_state" : "inter_state";
+};
+
+/**
+ * Splits the GST included in each priced line (prices are tax-inclusive)
+ * after its share of the coupon discount, which is spread across lines the
+ * same way returns do it. Returns copies of the items with `tax`
+ * ({ taxableValue, cgst, sgst, igst }) and the order's totals. Shipping is
+ * left out of the breakdown.
+ */
+export const calculateOrderTax = (pricing, shippingAddress) => {
+  const supplyType = supplyTypeFor(shippingAddress?.state);
+  const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+
+  const items = pricing.items.map((item) => {
+    const rate = item.gstRate || 0;
+    const discountShare =
+      pricing.discount && pricing.subtotal
+        ? (pricing.discount * item.lineTotal) / pricing.subtotal
+        : 0;
+    const netAmount = item.lineTotal - discountShare;
+    const taxableValue = roundCurrency((netAmount * 100) / (100 + rate));
+    const taxAmount = roundCurrency(netAmount - taxableValue);
+
+    let tax;
+    if (supplyType === "intra_state") {
+      const cgst = roundCurrency(taxAmount / 2);
+      tax = {
+        taxableValue,
+        cgst,
+        sgst: roundCurrency(taxAmount - cgst),
+        igst: 0,
+      };
+    } else {
+      tax = { taxableValue, cgst: 0, sgst: 0, igst: taxAmount };
+    }
+    for (const key of Object.keys(totals)) totals[key] += tax[key];
+    return { ...item, tax };
+  });
+
+  for (const key of Object.keys(totals)) {
+    totals[key] = roundCurrency(totals[key]);
+  }
+  return {
+    items,
+    tax: {
+      supplyType,
+      ...totals,
+      totalTax: roundCurrency(totals.cgst + totals.sgst + totals.igst),
+    },
+  };
+};